@@ -1,34 +1,272 @@
-function jsonToCSV(jsonData) {
-  const flatten = (obj, prefix = '') => {
-    return Object.keys(obj).reduce((acc, key) => {
-      const pre = prefix.length ? prefix + '.' : '';
-      if (typeof obj[key] === 'object' && obj[key] !== null) {
-        Object.assign(acc, flatten(obj[key], pre + key));
-      } else {
-        acc[pre + key] = obj[key];
+const isPlainObject = (value) => {
+  return typeof value === 'object' && value !== null && !(value instanceof Date);
+};
+
+const flatten = (obj, prefix = '', options = {}) => {
+  const { arrays = 'index', arraySeparator = ';' } = options;
+
+  return Object.keys(obj).reduce((acc, key) => {
+    const pre = prefix.length ? prefix + '.' : '';
+    const value = obj[key];
+
+    if (Array.isArray(value) && arrays === 'join') {
+      acc[pre + key] = value
+        .map(item => isPlainObject(item) ? JSON.stringify(item) : item)
+        .join(arraySeparator);
+    } else if (isPlainObject(value)) {
+      Object.assign(acc, flatten(value, pre + key, options));
+    } else {
+      acc[pre + key] = value;
+    }
+    return acc;
+  }, {});
+};
+
+// Explode mode turns every array into one row per element; several arrays in
+// the same record produce the cartesian product of their elements.
+const explode = (obj, prefix = '') => {
+  return Object.keys(obj).reduce((rows, key) => {
+    const pre = prefix.length ? prefix + '.' : '';
+    const value = obj[key];
+    let variants;
+
+    if (Array.isArray(value)) {
+      variants = value.length === 0 ? [{}] : value.flatMap(item => {
+        return isPlainObject(item) ? explode(item, pre + key) : [{ [pre + key]: item }];
+      });
+    } else if (isPlainObject(value)) {
+      variants = explode(value, pre + key);
+    } else {
+      variants = [{ [pre + key]: value }];
+    }
+
+    return rows.flatMap(row => variants.map(variant => ({ ...row, ...variant })));
+  }, [{}]);
+};
+
+const flattenRecord = (record, options = {}) => {
+  return options.arrays === 'explode' ? explode(record) : [flatten(record, '', options)];
+};
+
+// RFC 4180: fields containing the delimiter, quotes or line breaks must be
+// quoted, and embedded quotes are escaped by doubling them. Strings are always
+// quoted so that csvToJSON can tell "10001" apart from 10001. null is written
+// as a bare null so it reads back as null, while an empty field means the key
+// was missing.
+const escapeCSVField = (value, delimiter = ',', quoteStrings = true) => {
+  if (value === undefined) return '';
+  if (value === null) return 'null';
+  if (value instanceof Date) return value.toISOString();
+
+  const text = String(value);
+  const needsQuotes = (quoteStrings && typeof value === 'string') ||
+    text.includes(delimiter) || /["\r\n]/.test(text);
+
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCSVRow = (row, columns, delimiter) => {
+  return columns.map(column => escapeCSVField(row[column], delimiter)).join(delimiter);
+};
+
+const formatCSVHeader = (columns, delimiter) => {
+  return columns.map(column => escapeCSVField(column, delimiter, false)).join(delimiter);
+};
+
+// The header goes out before later records are seen, so without
+// options.columns it is taken from the first record and any record that adds
+// a key throws rather than silently losing that value. Explicit columns act
+// as a selection: keys outside them are left out on purpose.
+async function* streamCSV(records, options = {}) {
+  const { delimiter = ',', lineEnding = '\r\n', header = true } = options;
+  let columns = options.columns ? [...options.columns] : null;
+  let known = null;
+  let headerWritten = !header;
+  let recordNumber = 0;
+
+  for await (const record of records) {
+    const rows = flattenRecord(record, options);
+    recordNumber++;
+
+    if (!columns) {
+      columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      known = new Set(columns);
+    } else if (known) {
+      const unknown = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(key => !known.has(key));
+      if (unknown.length) {
+        throw new Error(`Record ${recordNumber} has keys missing from the CSV header: ${unknown.join(', ')}. Pass options.columns to stream records with varying keys`);
       }
-      return acc;
-    }, {});
-  };
+    }
+    if (!headerWritten) {
+      yield formatCSVHeader(columns, delimiter) + lineEnding;
+      headerWritten = true;
+    }
+
+    for (const row of rows) {
+      yield formatCSVRow(row, columns, delimiter) + lineEnding;
+    }
+  }
+}
 
-  const flattenedData = jsonData.map(item => flatten(item));
-  const headers = [...new Set(flattenedData.reduce((acc, curr) => {
+async function writeCSV(records, writable, options = {}) {
+  for await (const chunk of streamCSV(records, options)) {
+    // Respect backpressure so millions of records never pile up in memory
+    if (!writable.write(chunk)) {
+      await new Promise(resolve => writable.once('drain', resolve));
+    }
+  }
+}
+
+function jsonToCSV(jsonData, options = {}) {
+  const { delimiter = ',', lineEnding = '\r\n' } = options;
+
+  const flattenedData = jsonData.flatMap(item => flattenRecord(item, options));
+  const headers = options.columns || [...new Set(flattenedData.reduce((acc, curr) => {
     return [...acc, ...Object.keys(curr)];
   }, []))];
 
   const csv = [
-    headers.join(','),
-    ...flattenedData.map(item => {
-      return headers.map(header => {
-        const value = item[header] === undefined ? '' : item[header];
-        return typeof value === 'string' ? `"${value}"` : value;
-      }).join(',');
-    })
-  ].join('\n');
+    formatCSVHeader(headers, delimiter),
+    ...flattenedData.map(item => formatCSVRow(item, headers, delimiter))
+  ].join(lineEnding);
 
   return csv;
 }
 
+// Splits CSV text into rows of { value, quoted } fields, following RFC 4180
+// quoting rules. Quoted fields may contain delimiters, "" escapes and newlines.
+const parseCSV = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = { value: '', quoted: false };
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field.value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field.value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      field.quoted = true;
+    } else if (text.startsWith(delimiter, i)) {
+      row.push(field);
+      field = { value: '', quoted: false };
+      i += delimiter.length - 1;
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = { value: '', quoted: false };
+    } else {
+      field.value += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV input');
+  }
+
+  // A trailing line ending does not start another record
+  if (row.length || field.value || field.quoted) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// A bare null can never be a valid number, boolean or date, so those types
+// read it as null; 'string' keeps it as text
+const emptyOrNull = (parse) => value => {
+  if (value === '') return undefined;
+  return value === 'null' ? null : parse(value);
+};
+
+const csvTypeParsers = {
+  string: value => value,
+  number: emptyOrNull(value => Number(value)),
+  boolean: emptyOrNull(value => value.toLowerCase() === 'true'),
+  date: emptyOrNull(value => new Date(value)),
+  null: () => null
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// Quoted fields are always strings: escapeCSVField quotes every string, so
+// only unquoted values are candidates for number, boolean, null or date.
+const inferCSVValue = ({ value, quoted }) => {
+  if (quoted) return value;
+  if (value === '') return undefined;
+  if (value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (NUMBER_PATTERN.test(value)) return Number(value);
+  if (ISO_DATE_PATTERN.test(value)) return new Date(value);
+  return value;
+};
+
+// Rebuilds the nesting that flatten produced; numeric path segments such as
+// tags.0 become array indexes.
+const unflatten = (flat) => {
+  const result = {};
+
+  Object.keys(flat).forEach(path => {
+    if (flat[path] === undefined) return;
+
+    const keys = path.split('.');
+    let target = result;
+    keys.forEach((key, index) => {
+      if (index === keys.length - 1) {
+        target[key] = flat[path];
+        return;
+      }
+      if (!isPlainObject(target[key])) {
+        target[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+      }
+      target = target[key];
+    });
+  });
+
+  return result;
+};
+
+function csvToJSON(csv, options = {}) {
+  const { delimiter = ',', types = {} } = options;
+  const [headerRow = [], ...rows] = parseCSV(csv, delimiter);
+  const headers = headerRow.map(field => field.value);
+
+  return rows.map(row => {
+    const flat = {};
+    headers.forEach((header, index) => {
+      const field = row[index] || { value: '', quoted: false };
+      const type = types[header];
+
+      // Declared types win, so a 'string' column keeps a literal null; only
+      // inferred columns read a bare null as null
+      if (typeof type === 'function') {
+        flat[header] = type(field.value);
+      } else if (type) {
+        if (!csvTypeParsers[type]) {
+          throw new Error(`Unknown CSV column type "${type}" for ${header}`);
+        }
+        flat[header] = csvTypeParsers[type](field.value);
+      } else {
+        flat[header] = inferCSVValue(field);
+      }
+    });
+    return unflatten(flat);
+  });
+}
+
 // Example usage:
 const data = [
   {
@@ -54,4 +292,19 @@ const data = [
   }
 ];
 
-console.log(jsonToCSV(data));
\ No newline at end of file
+console.log(jsonToCSV(data));
+console.log(JSON.stringify(csvToJSON(jsonToCSV(data))) === JSON.stringify(data));
+console.log(csvToJSON(jsonToCSV([{ a: null, b: 1 }, { a: 'null', b: 2 }]))); // [{ a: null, b: 1 }, { a: 'null', b: 2 }]
+
+const editedSheet = 'id,name,details.address.zip,details.joined\n3,Ann,02134,2024-05-01\n';
+console.log(csvToJSON(editedSheet, { types: { 'details.address.zip': 'string' } }));
+
+async function* generateOrders() {
+  yield { id: 1, customer: 'Smith, "Jr."', items: [{ sku: 'A1', qty: 2 }, { sku: 'B7', qty: 1 }] };
+  yield { id: 2, customer: 'Doe\nLine 2', items: [{ sku: 'C3', qty: 5 }] };
+}
+
+writeCSV(generateOrders(), process.stdout, {
+  columns: ['id', 'customer', 'items.sku', 'items.qty'],
+  arrays: 'explode'
+});
\ No newline at end of file
@@ -1,56 +1,337 @@
 const puppeteer = require('puppeteer');
+const fs = require('fs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+};
+
+const isTimeoutError = (error) => {
+  return error.name === 'TimeoutError' || /timeout/i.test(error.message);
+};
+
+// Reads a previous run's JSONL output so URLs that already succeeded are skipped
+const loadCompletedResults = async (outputFile) => {
+  const completed = new Map();
+  if (!outputFile || !fs.existsSync(outputFile)) return completed;
+
+  const content = await fs.promises.readFile(outputFile, 'utf8');
+  content.split('\n').filter(Boolean).forEach(line => {
+    try {
+      const result = JSON.parse(line);
+      if (!result.error) completed.set(result.url, result);
+    } catch (error) {
+      // A crash can leave a partially written last line behind
+      console.log(`Warning: Skipping malformed line in ${outputFile}`);
+    }
+  });
+
+  return completed;
+};
+
+// Selector strings keep their original meaning: the trimmed textContent of
+// every match, collapsed to a single value when there is only one.
+const normalizeField = (field) => {
+  const normalized = typeof field === 'string' ? { selector: field } : { ...field };
+  if (normalized.fields) {
+    normalized.fields = normalizeSchema(normalized.fields);
+  }
+  return normalized;
+};
+
+const normalizeSchema = (schema) => {
+  return Object.fromEntries(Object.entries(schema).map(([key, field]) => [key, normalizeField(field)]));
+};
+
+// Runs inside the page, so it must be self-contained. Regex and type options
+// are applied afterwards in Node by transformData.
+const extractWithSchema = (schema) => {
+  const readValue = (el, field) => {
+    if (!field.attr) return el.textContent.trim();
+    // Properties resolve relative href/src values to absolute URLs
+    if (field.attr === 'href' || field.attr === 'src') return el[field.attr] || null;
+    return el.getAttribute(field.attr);
+  };
+
+  const extract = (root, fields) => {
+    const record = {};
+    for (const [key, field] of Object.entries(fields)) {
+      const elements = field.selector ? Array.from(root.querySelectorAll(field.selector)) : [root];
+      const values = elements.map(el => field.fields ? extract(el, field.fields) : readValue(el, field));
+
+      if (field.multiple === true) {
+        record[key] = values;
+      } else if (field.multiple === false || values.length === 1) {
+        record[key] = values.length ? values[0] : null;
+      } else {
+        record[key] = values.length ? values : null;
+      }
+    }
+    return record;
+  };
+
+  return extract(document, schema);
+};
+
+const coerceValue = (value, type) => {
+  switch (type) {
+    case 'number': {
+      const number = parseFloat(value.replace(/[^\d.eE+-]/g, ''));
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'integer': {
+      const number = parseInt(value.replace(/[^\d-]/g, ''), 10);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      return ['true', 'yes', '1', 'on'].includes(value.trim().toLowerCase());
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    case 'string':
+    case undefined:
+      return value;
+    default:
+      throw new Error(`Unknown field type "${type}"`);
+  }
+};
+
+const transformValue = (value, field) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(item => transformValue(item, field));
+  if (field.fields) return transformData(value, field.fields);
+
+  let result = value;
+  if (field.regex) {
+    const match = result.match(new RegExp(field.regex));
+    if (!match) return null;
+    const group = field.group !== undefined ? field.group : (match.length > 1 ? 1 : 0);
+    // An optional group that did not take part in the match is undefined
+    result = match[group];
+    if (result === undefined || result === null) return null;
+  }
+
+  return coerceValue(result, field.type);
+};
+
+const transformData = (data, schema) => {
+  return Object.fromEntries(Object.entries(schema).map(([key, field]) => {
+    return [key, transformValue(data[key], field)];
+  }));
+};
+
+const toList = (value) => {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Lists accumulate across pages; single values keep the first page's value.
+// A field counts as a list when either page actually produced an array, since
+// a plain selector becomes one on any page where it matches several elements.
+const mergePageData = (merged, pageData, schema) => {
+  for (const key of Object.keys(schema)) {
+    const value = pageData[key];
+    if (!(key in merged)) {
+      merged[key] = value;
+    } else if (Array.isArray(merged[key]) || Array.isArray(value)) {
+      merged[key] = [...toList(merged[key]), ...toList(value)];
+    }
+  }
+  return merged;
+};
+
+// beforeNextPage(url) is awaited before every page after the first, so the
+// caller can apply the same throttling as for any other request
+async function scrapePage(browser, url, config, beforeNextPage = async () => {}) {
+  const page = await browser.newPage();
+  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+
+  const schema = normalizeSchema(config.selectors);
+  const { nextSelector = null, maxPages = 1 } = config.pagination || {};
+  const pages = [];
+  let data = {};
+  let nextUrl = url;
+
+  try {
+    while (nextUrl && pages.length < maxPages) {
+      if (pages.length) await beforeNextPage(nextUrl);
+      await page.goto(nextUrl, { waitUntil: 'networkidle0', timeout: config.timeout || 30000 });
+      pages.push(nextUrl);
+
+      // Wait for the specified element if provided
+      if (config.waitForElement) {
+        await page.waitForSelector(config.waitForElement, { timeout: 10000 })
+          .catch(() => console.log(`Warning: Wait element not found on ${nextUrl}`));
+      }
+
+      const rawData = await page.evaluate(extractWithSchema, schema);
+      data = mergePageData(data, transformData(rawData, schema), schema);
+
+      if (!nextSelector) break;
+
+      // Follow the "next page" link unless it loops back to a visited page
+      nextUrl = await page.$eval(nextSelector, el => el.href).catch(() => null);
+      if (pages.includes(nextUrl)) nextUrl = null;
+    }
+  } finally {
+    await page.close();
+  }
+
+  return { data, pages };
+}
 
 async function scrapeMultipleUrls(urls, config) {
+  const {
+    concurrency = 4,
+    perDomainConcurrency = 1,
+    crawlDelay = 1000,
+    maxRetries = 3,
+    retryDelay = 1000,
+    outputFile = null
+  } = config;
+
+  // Results come back in the order of urls; resumed entries for URLs that are
+  // no longer requested stay in the output file but are not returned
+  const urlOrder = new Map();
+  urls.forEach((url, index) => {
+    if (!urlOrder.has(url)) urlOrder.set(url, index);
+  });
+
+  const completed = await loadCompletedResults(outputFile);
+  const results = [...completed.values()].filter(result => urlOrder.has(result.url));
+  const pending = urls
+    .filter(url => !completed.has(url))
+    .map(url => ({ url, attempt: 0, notBefore: 0 }));
+  const domains = new Map();
+  let writeChain = Promise.resolve();
+
+  const getDomainState = (domain) => {
+    if (!domains.has(domain)) {
+      domains.set(domain, { active: 0, lastRequestAt: 0 });
+    }
+    return domains.get(domain);
+  };
+
+  // Picks the first URL whose domain has a free slot and whose crawl delay and
+  // retry backoff have elapsed, so one slow domain never stalls the others
+  const takeNextJob = () => {
+    const now = Date.now();
+    const index = pending.findIndex(job => {
+      const state = getDomainState(getDomain(job.url));
+      return job.notBefore <= now &&
+        state.active < perDomainConcurrency &&
+        now - state.lastRequestAt >= crawlDelay;
+    });
+    return index === -1 ? null : pending.splice(index, 1)[0];
+  };
+
+  // Takes one of the domain's slots and returns a function that gives it back
+  const claimSlot = (state) => {
+    state.active++;
+    state.lastRequestAt = Date.now();
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        state.active--;
+      }
+    };
+  };
+
+  // Waits for a free slot and an elapsed crawl delay on the URL's domain
+  const acquireSlot = async (url) => {
+    const state = getDomainState(getDomain(url));
+    while (state.active >= perDomainConcurrency || Date.now() - state.lastRequestAt < crawlDelay) {
+      await sleep(100);
+    }
+    return claimSlot(state);
+  };
+
+  const recordResult = (result) => {
+    results.push(result);
+    if (outputFile) {
+      // Serialize appends so concurrent workers never interleave lines
+      writeChain = writeChain.then(() => {
+        return fs.promises.appendFile(outputFile, JSON.stringify(result) + '\n');
+      });
+    }
+    return writeChain;
+  };
+
   const browser = await puppeteer.launch({
     headless: "new",
     defaultViewport: { width: 1920, height: 1080 }
   });
 
-  const results = [];
+  let inFlight = 0;
 
-  try {
-    for (const url of urls) {
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+  const worker = async () => {
+    while (pending.length || inFlight) {
+      const job = takeNextJob();
+      if (!job) {
+        await sleep(100);
+        continue;
+      }
+
+      let releaseSlot = claimSlot(getDomainState(getDomain(job.url)));
+      inFlight++;
+
+      // Pagination gives up its slot between pages and queues for the next
+      // one like any other request, so crawlDelay applies to every page
+      const beforeNextPage = async (nextUrl) => {
+        releaseSlot();
+        releaseSlot = await acquireSlot(nextUrl);
+      };
 
       const result = {
-        url,
+        url: job.url,
         timestamp: new Date().toISOString(),
+        attempts: job.attempt + 1,
         data: {},
         error: null
       };
 
-      try {
-        await page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
-
-        // Wait for the specified element if provided
-        if (config.waitForElement) {
-          await page.waitForSelector(config.waitForElement, { timeout: 10000 })
-            .catch(() => console.log(`Warning: Wait element not found on ${url}`));
-        }
-
-        // Scrape each specified selector
-        for (const [key, selector] of Object.entries(config.selectors)) {
-          result.data[key] = await page.evaluate((sel) => {
-            const elements = document.querySelectorAll(sel);
-            if (elements.length === 0) return null;
-            if (elements.length === 1) return elements[0].textContent.trim();
-            return Array.from(elements).map(el => el.textContent.trim());
-          }, selector);
-        }
+      let retrying = false;
 
+      try {
+        const { data, pages } = await scrapePage(browser, job.url, config, beforeNextPage);
+        result.data = data;
+        result.pages = pages;
       } catch (error) {
-        result.error = error.message;
+        if (isTimeoutError(error) && job.attempt < maxRetries) {
+          const delay = retryDelay * Math.pow(2, job.attempt);
+          console.log(`Warning: Timeout on ${job.url}, retrying in ${delay}ms`);
+          pending.push({ url: job.url, attempt: job.attempt + 1, notBefore: Date.now() + delay });
+          retrying = true;
+        } else {
+          result.error = error.message;
+        }
+      } finally {
+        releaseSlot();
+        inFlight--;
       }
 
-      results.push(result);
-      await page.close();
+      if (!retrying) {
+        await recordResult(result);
+      }
     }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: concurrency }, () => worker()));
+    await writeChain;
   } finally {
     await browser.close();
   }
 
-  return results;
+  return results.sort((a, b) => urlOrder.get(a.url) - urlOrder.get(b.url));
 }
 
 // Example usage:
@@ -65,8 +346,28 @@ const scrapingConfig = {
     title: 'h1',
     description: '.description',
     prices: '.price',
-    metadata: '.meta-info'
-  }
+    metadata: '.meta-info',
+    products: {
+      selector: '.product-card',
+      multiple: true,
+      fields: {
+        name: '.product-name',
+        url: { selector: 'a', attr: 'href', multiple: false },
+        price: { selector: '.price', type: 'number' },
+        sku: { selector: '.sku', regex: /SKU:\s*(\w+)/ },
+        inStock: { selector: '[data-in-stock]', attr: 'data-in-stock', type: 'boolean' }
+      }
+    }
+  },
+  pagination: {
+    nextSelector: 'a[rel="next"]',
+    maxPages: 5
+  },
+  concurrency: 4,
+  perDomainConcurrency: 2,
+  crawlDelay: 1500,
+  maxRetries: 3,
+  outputFile: 'scrape-results.jsonl'
 };
 
 async function runScraper() {
@@ -1,77 +1,633 @@
+// Binary min-heap keyed by priority. Each value appears at most once: enqueueing
+// a value that is already queued with a lower priority performs a decrease-key.
 class PriorityQueue {
   constructor() {
     this.values = [];
+    this.positions = new Map();
+  }
+
+  get size() {
+    return this.values.length;
+  }
+
+  isEmpty() {
+    return this.values.length === 0;
+  }
+
+  has(val) {
+    return this.positions.has(val);
   }
 
   enqueue(val, priority) {
+    if (this.positions.has(val)) {
+      this.decreaseKey(val, priority);
+      return;
+    }
     this.values.push({ val, priority });
-    this.sort();
+    this.positions.set(val, this.values.length - 1);
+    this.bubbleUp(this.values.length - 1);
+  }
+
+  decreaseKey(val, priority) {
+    const index = this.positions.get(val);
+    if (index === undefined || priority >= this.values[index].priority) return false;
+    this.values[index].priority = priority;
+    this.bubbleUp(index);
+    return true;
+  }
+
+  peek() {
+    return this.values[0];
   }
 
   dequeue() {
-    return this.values.shift();
+    if (this.isEmpty()) return undefined;
+
+    const min = this.values[0];
+    const last = this.values.pop();
+    this.positions.delete(min.val);
+
+    if (this.values.length) {
+      this.values[0] = last;
+      this.positions.set(last.val, 0);
+      this.sinkDown(0);
+    }
+    return min;
+  }
+
+  bubbleUp(index) {
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (this.values[parent].priority <= this.values[index].priority) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  sinkDown(index) {
+    const length = this.values.length;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < length && this.values[left].priority < this.values[smallest].priority) {
+        smallest = left;
+      }
+      if (right < length && this.values[right].priority < this.values[smallest].priority) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+
+      this.swap(index, smallest);
+      index = smallest;
+    }
   }
 
-  sort() {
-    this.values.sort((a, b) => a.priority - b.priority);
+  swap(i, j) {
+    [this.values[i], this.values[j]] = [this.values[j], this.values[i]];
+    this.positions.set(this.values[i].val, i);
+    this.positions.set(this.values[j].val, j);
   }
 }
 
-function dijkstra(graph, start, end) {
+const buildPath = (previous, end) => {
+  const path = [];
+  for (let node = end; node !== undefined; node = previous[node]) {
+    path.push(node);
+  }
+  return path.reverse();
+};
+
+// A* search over the adjacency format used by dijkstra. With the default zero
+// heuristic this is plain Dijkstra. Excluded nodes and "from->to" edges are
+// used by Yen's algorithm to compute spur paths.
+function shortestPath(graph, start, end, options = {}) {
+  const {
+    heuristic = () => 0,
+    excludedNodes = new Set(),
+    excludedEdges = new Set()
+  } = options;
+
   const nodes = new PriorityQueue();
-  const distances = {};
+  const distances = { [start]: 0 };
   const previous = {};
-  const path = [];
-  let smallest;
+  const visited = new Set();
+
+  nodes.enqueue(start, heuristic(start, end));
+
+  // As long as there are nodes to visit
+  while (!nodes.isEmpty()) {
+    const smallest = nodes.dequeue().val;
+    if (smallest === end) {
+      return { distance: distances[end], path: buildPath(previous, end) };
+    }
+    visited.add(smallest);
+
+    for (let neighbor in graph[smallest] || {}) {
+      const nextNode = graph[smallest][neighbor];
+      const nextNeighbor = nextNode.node;
+      if (visited.has(nextNeighbor) || excludedNodes.has(nextNeighbor)) continue;
+      if (excludedEdges.has(`${smallest}->${nextNeighbor}`)) continue;
+
+      // Calculate new distance to neighboring node
+      const candidate = distances[smallest] + nextNode.weight;
+      if (candidate < (distances[nextNeighbor] ?? Infinity)) {
+        distances[nextNeighbor] = candidate;
+        previous[nextNeighbor] = smallest;
+        nodes.enqueue(nextNeighbor, candidate + heuristic(nextNeighbor, end));
+      }
+    }
+  }
+
+  return { distance: Infinity, path: [] };
+}
+
+// Dijkstra is only correct for non-negative weights, so graphs with negative
+// edges fall back to Bellman-Ford.
+function dijkstra(graph, start, end) {
+  if (hasNegativeEdges(graph)) {
+    return bellmanFord(graph, start, end);
+  }
+  return shortestPath(graph, start, end);
+}
 
-  // Build initial state
+// The heuristic must be consistent: for every edge u -> v, h(u) <= weight +
+// h(v), and it never overestimates the remaining cost. Nodes are closed once
+// dequeued, so an admissible but inconsistent heuristic can return a longer
+// path. Straight-line distance between coordinates, when weights are road
+// lengths, is consistent.
+function aStar(graph, start, end, heuristic) {
+  return shortestPath(graph, start, end, { heuristic });
+}
+
+const reverseGraph = (graph) => {
+  const reversed = {};
   for (let vertex in graph) {
-    if (vertex === start) {
-      distances[vertex] = 0;
-      nodes.enqueue(vertex, 0);
-    } else {
-      distances[vertex] = Infinity;
-      nodes.enqueue(vertex, Infinity);
+    reversed[vertex] = reversed[vertex] || {};
+    for (let neighbor in graph[vertex]) {
+      const { node, weight } = graph[vertex][neighbor];
+      reversed[node] = reversed[node] || {};
+      // Parallel edges collapse to the cheapest one
+      if (!reversed[node][vertex] || weight < reversed[node][vertex].weight) {
+        reversed[node][vertex] = { node: vertex, weight };
+      }
     }
-    previous[vertex] = null;
   }
+  return reversed;
+};
 
-  // As long as there are nodes to visit
-  while (nodes.values.length) {
-    smallest = nodes.dequeue().val;
-    if (smallest === end) {
-      // Build path to return
-      while (previous[smallest]) {
-        path.push(smallest);
-        smallest = previous[smallest];
+// Runs Dijkstra from both ends and stops once the two frontiers can no longer
+// improve on the best meeting point found so far.
+function bidirectionalDijkstra(graph, start, end, reversed = reverseGraph(graph)) {
+  if (start === end) return { distance: 0, path: [start] };
+
+  const search = (adjacency, source) => ({
+    adjacency,
+    queue: new PriorityQueue(),
+    distances: { [source]: 0 },
+    previous: {},
+    settled: new Set()
+  });
+  const forward = search(graph, start);
+  const backward = search(reversed, end);
+  forward.queue.enqueue(start, 0);
+  backward.queue.enqueue(end, 0);
+
+  let best = Infinity;
+  let meeting = null;
+
+  const step = (current, other) => {
+    const { val: vertex } = current.queue.dequeue();
+    current.settled.add(vertex);
+
+    for (let neighbor in current.adjacency[vertex] || {}) {
+      const { node, weight } = current.adjacency[vertex][neighbor];
+      if (current.settled.has(node)) continue;
+
+      const candidate = current.distances[vertex] + weight;
+      if (candidate < (current.distances[node] ?? Infinity)) {
+        current.distances[node] = candidate;
+        current.previous[node] = vertex;
+        current.queue.enqueue(node, candidate);
       }
-      break;
-    }
-
-    if (smallest || distances[smallest] !== Infinity) {
-      for (let neighbor in graph[smallest]) {
-        // Find neighboring node
-        let nextNode = graph[smallest][neighbor];
-        // Calculate new distance to neighboring node
-        let candidate = distances[smallest] + nextNode.weight;
-        let nextNeighbor = nextNode.node;
-        
-        if (candidate < distances[nextNeighbor]) {
-          // Updating new smallest distance to neighbor
-          distances[nextNeighbor] = candidate;
-          // Updating previous - How we got to neighbor
-          previous[nextNeighbor] = smallest;
-          // Enqueue in priority queue with new priority
-          nodes.enqueue(nextNeighbor, candidate);
+      if (other.distances[node] !== undefined) {
+        const total = current.distances[node] + other.distances[node];
+        if (total < best) {
+          best = total;
+          meeting = node;
+        }
+      }
+    }
+  };
+
+  while (!forward.queue.isEmpty() && !backward.queue.isEmpty()) {
+    if (forward.queue.peek().priority + backward.queue.peek().priority >= best) break;
+
+    if (forward.queue.size <= backward.queue.size) {
+      step(forward, backward);
+    } else {
+      step(backward, forward);
+    }
+  }
+
+  if (meeting === null) return { distance: Infinity, path: [] };
+
+  const path = buildPath(forward.previous, meeting);
+  for (let node = backward.previous[meeting]; node !== undefined; node = backward.previous[node]) {
+    path.push(node);
+  }
+  return { distance: best, path };
+}
+
+const edgeWeight = (graph, from, to) => {
+  let weight = Infinity;
+  for (let neighbor in graph[from] || {}) {
+    const edge = graph[from][neighbor];
+    if (edge.node === to) weight = Math.min(weight, edge.weight);
+  }
+  return weight;
+};
+
+const pathCost = (graph, path) => {
+  let cost = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    cost += edgeWeight(graph, path[i], path[i + 1]);
+  }
+  return cost;
+};
+
+// Yen's algorithm: the k loopless shortest paths, cheapest first
+function kShortestPaths(graph, start, end, k) {
+  const first = dijkstra(graph, start, end);
+  if (!first.path.length) return [];
+
+  const found = [first];
+  const seen = new Set([first.path.join('->')]);
+  const candidates = new PriorityQueue();
+  const candidatePaths = new Map();
+
+  while (found.length < k) {
+    const lastPath = found[found.length - 1].path;
+
+    for (let i = 0; i < lastPath.length - 1; i++) {
+      const spurNode = lastPath[i];
+      const rootPath = lastPath.slice(0, i + 1);
+      const excludedEdges = new Set();
+      const excludedNodes = new Set(rootPath.slice(0, -1));
+
+      // Remove the next edge of every known path that shares this root
+      for (const { path } of found) {
+        if (path.length > i + 1 && rootPath.every((node, index) => path[index] === node)) {
+          excludedEdges.add(`${path[i]}->${path[i + 1]}`);
         }
       }
+
+      const spur = shortestPath(graph, spurNode, end, { excludedNodes, excludedEdges });
+      if (!spur.path.length) continue;
+
+      const path = [...rootPath.slice(0, -1), ...spur.path];
+      const key = path.join('->');
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      candidatePaths.set(key, path);
+      candidates.enqueue(key, pathCost(graph, rootPath) + spur.distance);
     }
+
+    if (candidates.isEmpty()) break;
+
+    const { val: key, priority: distance } = candidates.dequeue();
+    found.push({ distance, path: candidatePaths.get(key) });
+    candidatePaths.delete(key);
+  }
+
+  return found;
+}
+
+// Graph loaders
+const addEdge = (graph, from, to, weight = 1, directed = true) => {
+  graph[from] = graph[from] || {};
+  graph[to] = graph[to] || {};
+
+  // Parallel edges keep the cheapest weight
+  if (!graph[from][to] || weight < graph[from][to].weight) {
+    graph[from][to] = { node: to, weight };
+  }
+  if (!directed) {
+    addEdge(graph, to, from, weight, true);
   }
-  
-  return {
-    distance: distances[end],
-    path: [start, ...path.reverse()]
+  return graph;
+};
+
+const stripQuotes = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+
+const isNumeric = (value) => value !== undefined && value.trim() !== '' && !Number.isNaN(Number(value));
+
+const EDGE_LIST_HEADER_NAMES = ['source', 'target', 'from', 'to', 'src', 'dst', 'weight'];
+
+// A first row is a header when its weight column is not a number or, for
+// two-column files, when both columns carry the usual header names
+const looksLikeEdgeListHeader = ([from, to, weight]) => {
+  if (weight !== undefined && weight !== '') return !isNumeric(weight);
+  return [from, to].every(name => EDGE_LIST_HEADER_NAMES.includes(name.toLowerCase()));
+};
+
+// Rows of source,target[,weight]. options.header (true/false) says whether
+// the first row is a header; by default it is detected and skipped.
+function loadEdgeListCSV(text, options = {}) {
+  const { delimiter = ',', directed = true, header } = options;
+  const graph = {};
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+
+  lines.forEach((line, index) => {
+    const fields = line.split(delimiter).map(stripQuotes);
+    const [from, to, weight] = fields;
+    if (index === 0 && (header ?? looksLikeEdgeListHeader(fields))) return;
+    if (!from || !to) {
+      throw new Error(`Invalid edge on line ${index + 1}: ${line}`);
+    }
+    if (weight !== undefined && weight !== '' && !isNumeric(weight)) {
+      throw new Error(`Invalid edge weight on line ${index + 1}: ${line}`);
+    }
+    addEdge(graph, from, to, weight === undefined || weight === '' ? 1 : Number(weight), directed);
+  });
+
+  return graph;
+}
+
+const haversineDistance = ([lon1, lat1], [lon2, lat2]) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
+
+// Every LineString vertex becomes a node keyed by its rounded "lon,lat" and
+// consecutive vertices are joined by edges weighted in metres. Features with
+// a truthy "oneway" property only get forward edges.
+function loadGeoJSON(geojson, options = {}) {
+  const { precision = 6, directed = false } = options;
+  const data = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  const graph = {};
+  const nodeId = ([lon, lat]) => `${lon.toFixed(precision)},${lat.toFixed(precision)}`;
+
+  features.forEach(feature => {
+    const geometry = feature.geometry || feature;
+    const properties = feature.properties || {};
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates] :
+      geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+    lines.forEach(coordinates => {
+      for (let i = 0; i < coordinates.length - 1; i++) {
+        addEdge(
+          graph,
+          nodeId(coordinates[i]),
+          nodeId(coordinates[i + 1]),
+          haversineDistance(coordinates[i], coordinates[i + 1]),
+          directed || Boolean(properties.oneway)
+        );
+      }
+    });
+  });
+
+  return graph;
+}
+
+// Supports node statements and edge chains such as `a -> b -> c [weight=2]`.
+// Edges without a numeric weight (or label) attribute get weight 1.
+function loadDOT(text) {
+  const source = text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|\s)(\/\/|#).*$/gm, '');
+  const header = source.match(/^\s*(strict\s+)?(di)?graph\b[^{]*\{/i);
+  if (!header) {
+    throw new Error('Invalid DOT input: missing graph declaration');
+  }
+
+  const directed = Boolean(header[2]);
+  const body = source.slice(header[0].length, source.lastIndexOf('}'));
+  const graph = {};
+  const idPattern = /^("(?:[^"\\]|\\.)*"|[\w.]+)$/;
+  const edgeOp = directed ? '->' : '--';
+
+  body.split(/[;\n]/).map(statement => statement.trim()).filter(Boolean).forEach(statement => {
+    const attrMatch = statement.match(/\[([^\]]*)\]\s*$/);
+    const attrs = {};
+    if (attrMatch) {
+      attrMatch[1].replace(/(\w+)\s*=\s*("[^"]*"|[^,\s]+)/g, (_, key, value) => {
+        attrs[key] = stripQuotes(value);
+      });
+    }
+
+    const ids = (attrMatch ? statement.slice(0, attrMatch.index) : statement)
+      .split(edgeOp)
+      .map(part => part.trim());
+    // Skips graph/node/edge defaults and attribute assignments like rankdir=LR
+    if (ids.length === 1 && ['graph', 'node', 'edge'].includes(ids[0])) return;
+    if (!ids.every(part => idPattern.test(part))) return;
+
+    const nodes = ids.map(stripQuotes);
+    if (nodes.length === 1) {
+      graph[nodes[0]] = graph[nodes[0]] || {};
+      return;
+    }
+
+    const weight = [attrs.weight, attrs.label].find(isNumeric) ?? 1;
+    for (let i = 0; i < nodes.length - 1; i++) {
+      addEdge(graph, nodes[i], nodes[i + 1], Number(weight), directed);
+    }
+  });
+
+  return graph;
+}
+
+// Graph analysis
+const getVertices = (graph) => {
+  const vertices = new Set(Object.keys(graph));
+  for (let vertex in graph) {
+    for (let neighbor in graph[vertex]) {
+      vertices.add(graph[vertex][neighbor].node);
+    }
+  }
+  return [...vertices];
+};
+
+const getEdges = (graph) => {
+  const edges = [];
+  for (let vertex in graph) {
+    for (let neighbor in graph[vertex]) {
+      const { node, weight } = graph[vertex][neighbor];
+      edges.push({ from: vertex, to: node, weight });
+    }
+  }
+  return edges;
+};
+
+function findNegativeEdges(graph) {
+  return getEdges(graph).filter(edge => edge.weight < 0);
+}
+
+function hasNegativeEdges(graph) {
+  for (let vertex in graph) {
+    for (let neighbor in graph[vertex]) {
+      if (graph[vertex][neighbor].weight < 0) return true;
+    }
+  }
+  return false;
+}
+
+function bellmanFord(graph, start, end) {
+  const vertices = getVertices(graph);
+  const edges = getEdges(graph);
+  const distances = {};
+  const previous = {};
+
+  vertices.forEach(vertex => { distances[vertex] = Infinity; });
+  distances[start] = 0;
+
+  for (let i = 0; i < vertices.length - 1; i++) {
+    let updated = false;
+    for (const { from, to, weight } of edges) {
+      if (distances[from] + weight < distances[to]) {
+        distances[to] = distances[from] + weight;
+        previous[to] = from;
+        updated = true;
+      }
+    }
+    if (!updated) break;
+  }
+
+  for (const { from, to, weight } of edges) {
+    if (distances[from] + weight < distances[to]) {
+      throw new Error(`Graph contains a negative-weight cycle reachable from ${start}`);
+    }
+  }
+
+  if (distances[end] === undefined || distances[end] === Infinity) {
+    return { distance: Infinity, path: [] };
+  }
+  return { distance: distances[end], path: buildPath(previous, end) };
+}
+
+// Floyd-Warshall; works with negative edges but throws on negative cycles
+function allPairsShortestPaths(graph) {
+  const vertices = getVertices(graph);
+  const distances = {};
+  const next = {};
+
+  vertices.forEach(from => {
+    distances[from] = {};
+    next[from] = {};
+    vertices.forEach(to => {
+      distances[from][to] = from === to ? 0 : Infinity;
+      next[from][to] = from === to ? to : null;
+    });
+  });
+  getEdges(graph).forEach(({ from, to, weight }) => {
+    if (weight < distances[from][to]) {
+      distances[from][to] = weight;
+      next[from][to] = to;
+    }
+  });
+
+  vertices.forEach(via => {
+    vertices.forEach(from => {
+      if (distances[from][via] === Infinity) return;
+      vertices.forEach(to => {
+        const candidate = distances[from][via] + distances[via][to];
+        if (candidate < distances[from][to]) {
+          distances[from][to] = candidate;
+          next[from][to] = next[from][via];
+        }
+      });
+    });
+  });
+
+  if (vertices.some(vertex => distances[vertex][vertex] < 0)) {
+    throw new Error('Graph contains a negative-weight cycle');
+  }
+
+  const path = (from, to) => {
+    if (!next[from] || next[from][to] === null || next[from][to] === undefined) return [];
+    const result = [from];
+    for (let node = from; node !== to;) {
+      node = next[node][to];
+      result.push(node);
+    }
+    return result;
   };
+
+  return { distances, path };
+}
+
+class DisjointSet {
+  constructor(items) {
+    this.parent = new Map(items.map(item => [item, item]));
+    this.rank = new Map(items.map(item => [item, 0]));
+  }
+
+  find(item) {
+    const parent = this.parent.get(item);
+    if (parent === item) return item;
+    const root = this.find(parent);
+    this.parent.set(item, root);
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA === rootB) return false;
+
+    const rankA = this.rank.get(rootA);
+    const rankB = this.rank.get(rootB);
+    if (rankA < rankB) {
+      this.parent.set(rootA, rootB);
+    } else if (rankA > rankB) {
+      this.parent.set(rootB, rootA);
+    } else {
+      this.parent.set(rootB, rootA);
+      this.rank.set(rootA, rankA + 1);
+    }
+    return true;
+  }
+}
+
+// Kruskal's algorithm over the undirected view of the graph. Disconnected
+// graphs yield a minimum spanning forest.
+function minimumSpanningTree(graph) {
+  const sets = new DisjointSet(getVertices(graph));
+  const edges = getEdges(graph).sort((a, b) => a.weight - b.weight);
+  const tree = [];
+  let weight = 0;
+
+  for (const edge of edges) {
+    if (sets.union(edge.from, edge.to)) {
+      tree.push(edge);
+      weight += edge.weight;
+    }
+  }
+
+  return { weight, edges: tree };
+}
+
+// Weakly connected components: edge direction is ignored
+function connectedComponents(graph) {
+  const vertices = getVertices(graph);
+  const sets = new DisjointSet(vertices);
+  getEdges(graph).forEach(({ from, to }) => sets.union(from, to));
+
+  const components = new Map();
+  vertices.forEach(vertex => {
+    const root = sets.find(vertex);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(vertex);
+  });
+  return [...components.values()];
 }
 
 // Example usage:
@@ -84,4 +640,26 @@ const graph = {
   F: {}
 };
 
-console.log(dijkstra(graph, 'A', 'F'));
\ No newline at end of file
+console.log(dijkstra(graph, 'A', 'F'));
+console.log(aStar(graph, 'A', 'F', () => 0));
+console.log(bidirectionalDijkstra(graph, 'A', 'F'));
+console.log(kShortestPaths(graph, 'A', 'F', 3));
+console.log(connectedComponents(graph));
+console.log(minimumSpanningTree(graph));
+console.log(allPairsShortestPaths(graph).path('A', 'F'));
+
+const csvGraph = loadEdgeListCSV('source,target,weight\nA,B,4\nB,C,-2\nA,C,3');
+console.log(findNegativeEdges(csvGraph), dijkstra(csvGraph, 'A', 'C'));
+
+const dotGraph = loadDOT('digraph G { A -> B [weight=2]; B -> C -> D [weight=1]; A -> D [weight=5] }');
+console.log(dijkstra(dotGraph, 'A', 'D'));
+
+const roads = loadGeoJSON({
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { oneway: false },
+    geometry: { type: 'LineString', coordinates: [[-73.98, 40.75], [-73.97, 40.76], [-73.96, 40.77]] }
+  }]
+});
+console.log(dijkstra(roads, '-73.980000,40.750000', '-73.960000,40.770000'));
\ No newline at end of file
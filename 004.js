@@ -1,37 +1,58 @@
+// Shared validation schema, consumed by the form handler and the /api/submit route
+const contactSchema = {
+  name: {
+    required: true,
+    pattern: /^[a-zA-Z\s]{2,50}$/,
+    message: 'Name must be 2-50 characters long and contain only letters',
+    normalize: value => value.trim().replace(/\s+/g, ' ')
+  },
+  email: {
+    required: true,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    message: 'Please enter a valid email address',
+    normalize: value => value.trim().toLowerCase()
+  },
+  phone: {
+    required: true,
+    pattern: /^\+?[\d\s-]{10,}$/,
+    message: 'Please enter a valid phone number',
+    normalize: value => value.trim()
+  }
+};
+
+// Returns the normalized values and a field -> message map of failures
+const validateContact = (input, schema = contactSchema) => {
+  const values = {};
+  const errors = {};
+
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    const raw = input[field] === undefined || input[field] === null ? '' : String(input[field]);
+    const value = rule.normalize ? rule.normalize(raw) : raw;
+
+    if ((rule.required && !value) || (value && !rule.pattern.test(value))) {
+      errors[field] = rule.message;
+    }
+    values[field] = value;
+  });
+
+  return { values, errors, isValid: Object.keys(errors).length === 0 };
+};
+
 // Frontend validation and submission
 const validateAndSubmitForm = async (event) => {
   event.preventDefault();
   
-  const formData = {
-    name: document.getElementById('name').value.trim(),
-    email: document.getElementById('email').value.trim(),
-    phone: document.getElementById('phone').value.trim()
-  };
-
-  const validationRules = {
-    name: {
-      pattern: /^[a-zA-Z\s]{2,50}$/,
-      message: 'Name must be 2-50 characters long and contain only letters'
-    },
-    email: {
-      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-      message: 'Please enter a valid email address'
-    },
-    phone: {
-      pattern: /^\+?[\d\s-]{10,}$/,
-      message: 'Please enter a valid phone number'
-    }
-  };
-
-  const errors = {};
-  let isValid = true;
+  const { values: formData, errors, isValid } = validateContact({
+    name: document.getElementById('name').value,
+    email: document.getElementById('email').value,
+    phone: document.getElementById('phone').value
+  });
 
   // Validate each field
-  Object.keys(formData).forEach(field => {
-    if (!validationRules[field].pattern.test(formData[field])) {
-      errors[field] = validationRules[field].message;
-      isValid = false;
-      showError(field, validationRules[field].message);
+  Object.keys(contactSchema).forEach(field => {
+    if (errors[field]) {
+      showError(field, errors[field]);
     } else {
       clearError(field);
     }
@@ -55,6 +76,9 @@ const validateAndSubmitForm = async (event) => {
     if (response.ok) {
       showSuccess('Form submitted successfully!');
       resetForm();
+    } else if (result.errors) {
+      // Field-level errors from the server use the same field names as the form
+      Object.entries(result.errors).forEach(([field, message]) => showError(field, message));
     } else {
       showError('form', result.message || 'Submission failed');
     }
@@ -96,6 +120,7 @@ const resetForm = () => {
 };
 
 // Backend Node.js code
+const crypto = require('crypto');
 const express = require('express');
 const mysql = require('mysql2/promise');
 const app = express();
@@ -113,37 +138,457 @@ const dbConfig = {
 // Create database connection pool
 const pool = mysql.createPool(dbConfig);
 
-app.post('/api/submit', async (req, res) => {
-  const { name, email, phone } = req.body;
+// Phone numbers are stored as entered and compared on their digits, so
+// "+1 555-123 4567" matches "15551234567"
+const phoneDigits = (phone) => phone.replace(/\D/g, '');
 
+// Thrown by contact stores when a write would duplicate an email address or
+// phone number. fields lists which of the two clashed.
+class DuplicateContactError extends Error {
+  constructor(fields) {
+    super('Contact already exists');
+    this.name = 'DuplicateContactError';
+    this.fields = fields;
+  }
+}
+
+const DUPLICATE_MESSAGES = {
+  email: 'A contact with this email address already exists',
+  phone: 'A contact with this phone number already exists'
+};
+
+const duplicateResponse = (fields) => ({
+  status: 409,
+  body: {
+    success: false,
+    message: 'Contact already exists',
+    errors: Object.fromEntries(fields.map(field => [field, DUPLICATE_MESSAGES[field]]))
+  }
+});
+
+const SORTABLE_FIELDS = ['id', 'name', 'email', 'phone'];
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: the sort value and id of the last row returned
+const encodeCursor = (contact, sort) => {
+  return Buffer.from(JSON.stringify({ value: contact[sort], id: contact.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
   try {
-    const connection = await pool.getConnection();
-    
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// MySQL contact store. Search expects a FULLTEXT index, and duplicates are
+// ruled out by unique indexes on the lowercased email and the phone digits:
+// ALTER TABLE contacts ADD FULLTEXT INDEX ft_contacts_name_email (name, email);
+// ALTER TABLE contacts ADD COLUMN phone_digits VARCHAR(32) NOT NULL,
+//   ADD UNIQUE INDEX uq_contacts_email (email),
+//   ADD UNIQUE INDEX uq_contacts_phone_digits (phone_digits);
+const duplicateFieldsFromMySQL = (error) => {
+  return [/uq_contacts_email/.test(error.sqlMessage) ? 'email' : 'phone'];
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const createMySQLContactStore = (pool) => ({
+  async findDuplicates({ email, phone }, excludeId = null) {
+    const [rows] = await pool.execute(
+      `SELECT id, email, phone FROM contacts
+       WHERE (email = ? OR phone_digits = ?) AND id <> ?`,
+      [email, phoneDigits(phone), excludeId === null ? 0 : excludeId]
+    );
+    return rows;
+  },
+
+  async list({ search, sort, order, cursor, limit }) {
+    const conditions = [];
+    const params = [];
+    const comparator = order === 'desc' ? '<' : '>';
+
+    if (search.includes('@')) {
+      // The full-text parser splits on "@", so email addresses are matched
+      // as a substring instead
+      conditions.push('email LIKE ?');
+      params.push(`%${escapeLike(search.toLowerCase())}%`);
+    } else if (search) {
+      // Boolean mode with a trailing * gives prefix matching per term. Terms
+      // made only of operators are dropped, since "+*" is a syntax error.
+      const terms = search.split(/\s+/)
+        .map(term => term.replace(/[+\-<>()~*"@]/g, ''))
+        .filter(Boolean)
+        .map(term => `+${term}*`);
+      if (terms.length) {
+        conditions.push('MATCH(name, email) AGAINST (? IN BOOLEAN MODE)');
+        params.push(terms.join(' '));
+      }
+    }
+    if (cursor) {
+      conditions.push(`(${sort} ${comparator} ? OR (${sort} = ? AND id ${comparator} ?))`);
+      params.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    // sort is checked against SORTABLE_FIELDS before it reaches the query
+    const [rows] = await pool.query(
+      `SELECT id, name, email, phone FROM contacts ${where}
+       ORDER BY ${sort} ${direction}, id ${direction} LIMIT ?`,
+      [...params, limit]
+    );
+    return rows;
+  },
+
+  async get(id) {
+    const [rows] = await pool.execute('SELECT id, name, email, phone FROM contacts WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  // findDuplicates only gives friendly errors; two concurrent writes can both
+  // pass it, so the unique indexes have the final word
+  async create({ name, email, phone }) {
     try {
-      await connection.execute(
-        'INSERT INTO contacts (name, email, phone) VALUES (?, ?, ?)',
-        [name, email, phone]
+      const [result] = await pool.execute(
+        'INSERT INTO contacts (name, email, phone, phone_digits) VALUES (?, ?, ?, ?)',
+        [name, email, phone, phoneDigits(phone)]
       );
+      return { id: result.insertId, name, email, phone };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') throw new DuplicateContactError(duplicateFieldsFromMySQL(error));
+      throw error;
+    }
+  },
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Contact information saved successfully' 
-      });
+  async update(id, { name, email, phone }) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE contacts SET name = ?, email = ?, phone = ?, phone_digits = ? WHERE id = ?',
+        [name, email, phone, phoneDigits(phone), id]
+      );
+      return result.affectedRows ? { id, name, email, phone } : null;
     } catch (error) {
-      console.error('Database error:', error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Error saving to database' 
-      });
-    } finally {
-      connection.release();
+      if (error.code === 'ER_DUP_ENTRY') throw new DuplicateContactError(duplicateFieldsFromMySQL(error));
+      throw error;
+    }
+  },
+
+  async remove(id) {
+    const [result] = await pool.execute('DELETE FROM contacts WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+});
+
+// In-memory contact store with the same interface, for tests and local runs
+const createMemoryContactStore = (initialContacts = []) => {
+  const contacts = new Map();
+  let nextId = 1;
+
+  initialContacts.forEach(contact => {
+    const id = contact.id || nextId;
+    contacts.set(id, { ...contact, id });
+    nextId = Math.max(nextId, id + 1);
+  });
+
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  const findDuplicates = ({ email, phone }, excludeId) => {
+    return [...contacts.values()].filter(contact => contact.id !== excludeId && (
+      contact.email.toLowerCase() === email || phoneDigits(contact.phone) === phoneDigits(phone)
+    ));
+  };
+
+  // Plays the part of the unique indexes; nothing awaits between the check
+  // and the write, so concurrent requests cannot both get through
+  const assertUnique = (values, excludeId) => {
+    const duplicates = findDuplicates(values, excludeId);
+    if (!duplicates.length) return;
+
+    const fields = [];
+    if (duplicates.some(contact => contact.email.toLowerCase() === values.email)) fields.push('email');
+    if (duplicates.some(contact => phoneDigits(contact.phone) === phoneDigits(values.phone))) fields.push('phone');
+    throw new DuplicateContactError(fields);
+  };
+
+  return {
+    async findDuplicates(values, excludeId = null) {
+      return findDuplicates(values, excludeId);
+    },
+
+    async list({ search, sort, order, cursor, limit }) {
+      const terms = search ? search.toLowerCase().split(/\s+/).filter(Boolean) : [];
+      const direction = order === 'desc' ? -1 : 1;
+
+      return [...contacts.values()]
+        .filter(contact => terms.every(term => {
+          return contact.name.toLowerCase().includes(term) || contact.email.toLowerCase().includes(term);
+        }))
+        .sort((a, b) => direction * (compare(a[sort], b[sort]) || compare(a.id, b.id)))
+        .filter(contact => {
+          if (!cursor) return true;
+          const result = compare(contact[sort], cursor.value) || compare(contact.id, cursor.id);
+          return direction * result > 0;
+        })
+        .slice(0, limit)
+        .map(contact => ({ ...contact }));
+    },
+
+    async get(id) {
+      return contacts.has(id) ? { ...contacts.get(id) } : null;
+    },
+
+    async create(values) {
+      assertUnique(values, null);
+      const contact = { id: nextId++, ...values };
+      contacts.set(contact.id, contact);
+      return { ...contact };
+    },
+
+    async update(id, values) {
+      if (!contacts.has(id)) return null;
+      assertUnique(values, id);
+      const contact = { id, ...values };
+      contacts.set(id, contact);
+      return { ...contact };
+    },
+
+    async remove(id) {
+      return contacts.delete(id);
     }
+  };
+};
+
+const contactStore = process.env.CONTACT_STORE === 'memory'
+  ? createMemoryContactStore()
+  : createMySQLContactStore(pool);
+
+// Validates and normalizes a contact, then checks it against existing ones.
+// Resolves to { status, body } on failure or { values } on success.
+const prepareContact = async (input, excludeId = null) => {
+  const { values, errors, isValid } = validateContact(input);
+
+  if (!isValid) {
+    return {
+      status: 422,
+      body: { success: false, message: 'Validation failed', errors }
+    };
+  }
+
+  const duplicates = await contactStore.findDuplicates(values, excludeId);
+
+  if (duplicates.length) {
+    const fields = [];
+    if (duplicates.some(existing => existing.email.toLowerCase() === values.email)) {
+      fields.push('email');
+    }
+    if (duplicates.some(existing => phoneDigits(existing.phone) === phoneDigits(values.phone))) {
+      fields.push('phone');
+    }
+    return duplicateResponse(fields);
+  }
+
+  return { values };
+};
+
+const parseContactId = (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ success: false, message: 'Invalid contact id' });
+    return null;
+  }
+  return id;
+};
+
+const parseListOptions = (query) => {
+  const sort = SORTABLE_FIELDS.includes(query.sort) ? query.sort : 'id';
+  const order = query.order === 'desc' ? 'desc' : 'asc';
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const search = typeof query.q === 'string' ? query.q.trim() : '';
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  return { sort, order, limit, search, cursor };
+};
+
+app.post('/api/submit', async (req, res) => {
+  try {
+    const { status, body, values } = await prepareContact(req.body || {});
+    if (status) {
+      return res.status(status).json(body);
+    }
+
+    await contactStore.create(values);
+
+    res.status(200).json({ 
+      success: true, 
+      message: 'Contact information saved successfully' 
+    });
   } catch (error) {
-    console.error('Connection error:', error);
+    if (error instanceof DuplicateContactError) {
+      const { status, body } = duplicateResponse(error.fields);
+      return res.status(status).json(body);
+    }
+    console.error('Database error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Database connection error' 
+      message: 'Error saving to database' 
+    });
+  }
+});
+
+// Admin contact API
+
+// Admin endpoints require the shared key in the X-Admin-Key header
+const requireAdmin = (req, res, next) => {
+  const expected = Buffer.from(process.env.ADMIN_API_KEY || '');
+  const provided = Buffer.from(req.get('X-Admin-Key') || '');
+
+  if (!expected.length || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  next();
+};
+
+// Values starting with =, +, -, @, tab or CR are prefixed with a quote so
+// spreadsheet apps do not run them as formulas; phone numbers are left as is
+const csvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves true once the response can take more data, or false when the
+// client has disconnected, so an abandoned export stops instead of hanging
+const waitForDrain = (res) => new Promise(resolve => {
+  if (res.destroyed) return resolve(false);
+
+  const finish = (drained) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    resolve(drained);
+  };
+  const onDrain = () => finish(true);
+  const onClose = () => finish(false);
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+});
+
+// Streams every matching contact page by page, so exports never load the whole table
+app.get('/api/contacts/export.csv', requireAdmin, async (req, res) => {
+  const options = { ...parseListOptions(req.query), limit: MAX_PAGE_SIZE, cursor: null };
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="contacts.csv"');
+  res.write('id,name,email,phone\r\n');
+
+  try {
+    while (true) {
+      const contacts = await contactStore.list(options);
+
+      for (const contact of contacts) {
+        const line = ['id', 'name', 'email', 'phone'].map(field => csvField(contact[field])).join(',');
+        if (!res.write(line + '\r\n') && !await waitForDrain(res)) {
+          return;
+        }
+      }
+
+      if (contacts.length < options.limit) break;
+      const last = contacts[contacts.length - 1];
+      options.cursor = { value: last[options.sort], id: last.id };
+    }
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the only option left is to abort the download
+    console.error('Export error:', error);
+    res.destroy(error);
+  }
+});
+
+app.get('/api/contacts', requireAdmin, async (req, res) => {
+  const options = parseListOptions(req.query);
+
+  if (req.query.cursor && !options.cursor) {
+    return res.status(400).json({ success: false, message: 'Invalid cursor' });
+  }
+
+  try {
+    // Fetch one extra row to know whether another page exists
+    const rows = await contactStore.list({ ...options, limit: options.limit + 1 });
+    const contacts = rows.slice(0, options.limit);
+    const hasMore = rows.length > options.limit;
+
+    res.json({
+      success: true,
+      data: contacts,
+      nextCursor: hasMore ? encodeCursor(contacts[contacts.length - 1], options.sort) : null
     });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ success: false, message: 'Error loading contacts' });
+  }
+});
+
+app.get('/api/contacts/:id', requireAdmin, async (req, res) => {
+  const id = parseContactId(req, res);
+  if (id === null) return;
+
+  try {
+    const contact = await contactStore.get(id);
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found' });
+    }
+    res.json({ success: true, data: contact });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ success: false, message: 'Error loading contact' });
+  }
+});
+
+// Partial updates are merged onto the stored contact and validated as a whole
+app.patch('/api/contacts/:id', requireAdmin, async (req, res) => {
+  const id = parseContactId(req, res);
+  if (id === null) return;
+
+  try {
+    const existing = await contactStore.get(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Contact not found' });
+    }
+
+    const { status, body, values } = await prepareContact({ ...existing, ...req.body }, id);
+    if (status) {
+      return res.status(status).json(body);
+    }
+
+    const contact = await contactStore.update(id, values);
+    res.json({ success: true, data: contact });
+  } catch (error) {
+    if (error instanceof DuplicateContactError) {
+      const { status, body } = duplicateResponse(error.fields);
+      return res.status(status).json(body);
+    }
+    console.error('Database error:', error);
+    res.status(500).json({ success: false, message: 'Error updating contact' });
+  }
+});
+
+app.delete('/api/contacts/:id', requireAdmin, async (req, res) => {
+  const id = parseContactId(req, res);
+  if (id === null) return;
+
+  try {
+    const removed = await contactStore.remove(id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Contact not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting contact' });
   }
 });
 
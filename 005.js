@@ -2,6 +2,7 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 
 const app = express();
 app.use(express.json());
@@ -12,17 +13,19 @@ const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secre
 
 // Token management
 class TokenManager {
-  static generateAccessToken(user) {
+  static generateAccessToken(user, sessionId) {
     return jwt.sign(
-      { userId: user.id, email: user.email },
+      { userId: user.id, email: user.email, role: user.role, tenantId: user.tenantId, sessionId },
       JWT_SECRET,
       { expiresIn: '15m' }
     );
   }
 
-  static generateRefreshToken(user) {
+  // Every refresh token belongs to a family (one per device session) and has
+  // its own jti so a rotated token can be told apart from its successor
+  static generateRefreshToken(user, familyId) {
     return jwt.sign(
-      { userId: user.id },
+      { userId: user.id, familyId, jti: crypto.randomUUID() },
       JWT_REFRESH_SECRET,
       { expiresIn: '7d' }
     );
@@ -60,10 +63,48 @@ const authenticateToken = async (req, res, next) => {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 
+  try {
+    // Revoking a session ends its access tokens immediately, not just its
+    // refreshes, at the cost of one session lookup per request
+    if (decoded.sessionId) {
+      const session = await findSession(decoded.sessionId);
+      if (!session || session.revokedAt) {
+        return res.status(403).json({ error: 'Session revoked' });
+      }
+    }
+  } catch (error) {
+    return next(error);
+  }
+
   req.user = decoded;
   next();
 };
 
+// Creates a new refresh token in the given family and stores it as unused
+const createRefreshToken = async (user, familyId, transaction = null) => {
+  const refreshToken = TokenManager.generateRefreshToken(user, familyId);
+  const { jti } = jwt.decode(refreshToken);
+
+  await storeRefreshToken(user.id, refreshToken, { jti, familyId }, transaction);
+  return refreshToken;
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  // Set refresh token in HTTP-only cookie
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+};
+
+const issueRefreshToken = async (res, user, familyId) => {
+  const refreshToken = await createRefreshToken(user, familyId);
+  setRefreshCookie(res, refreshToken);
+  return refreshToken;
+};
+
 // Role-based authorization middleware
 const authorize = (roles = []) => {
   return (req, res, next) => {
@@ -74,6 +115,131 @@ const authorize = (roles = []) => {
   };
 };
 
+// Permission-based authorization
+// Permissions are "resource:action:scope". Either of the first two segments may
+// be "*", and the scope decides which resources the grant covers:
+// own (resource.ownerId), tenant (resource.tenantId) or any.
+const ROLE_POLICIES = {
+  customer: {
+    inherits: [],
+    permissions: ['orders:read:own', 'orders:create:own', 'profile:*:own']
+  },
+  support: {
+    inherits: ['customer'],
+    permissions: ['orders:read:tenant', 'customers:read:tenant']
+  },
+  manager: {
+    inherits: ['support'],
+    permissions: ['orders:*:tenant', 'customers:*:tenant', 'policies:evaluate:tenant']
+  },
+  admin: {
+    inherits: ['manager'],
+    permissions: ['*:*:any']
+  }
+};
+
+const SCOPE_CHECKS = {
+  any: () => ({ passed: true, detail: 'grant applies to any resource' }),
+  tenant: (user, resource) => {
+    if (!resource) return { passed: false, detail: 'no resource to compare tenants against' };
+    const passed = resource.tenantId !== undefined && resource.tenantId === user.tenantId;
+    return { passed, detail: `resource tenant ${resource.tenantId} ${passed ? '=' : '!='} user tenant ${user.tenantId}` };
+  },
+  own: (user, resource) => {
+    if (!resource) return { passed: false, detail: 'no resource to check ownership of' };
+    const passed = resource.ownerId !== undefined && resource.ownerId === user.userId;
+    return { passed, detail: `resource owner ${resource.ownerId} ${passed ? '=' : '!='} user ${user.userId}` };
+  }
+};
+
+// Flattens a role and everything it inherits into [{ permission, role }],
+// remembering which role contributed each grant for policy explanations
+const resolvePermissions = (role, policies = ROLE_POLICIES, seen = new Set()) => {
+  if (!policies[role] || seen.has(role)) return [];
+  seen.add(role);
+
+  const own = policies[role].permissions.map(permission => ({ permission, role }));
+  const inherited = policies[role].inherits.flatMap(parent => resolvePermissions(parent, policies, seen));
+  return [...own, ...inherited];
+};
+
+const segmentMatches = (granted, required) => granted === '*' || granted === required;
+
+// Evaluates a "resource:action" permission for a user against an optional
+// resource and explains every grant that was considered
+const evaluatePolicy = ({ user, permission, resource = null }, policies = ROLE_POLICIES) => {
+  const [resourceType, action] = permission.split(':');
+  const grants = resolvePermissions(user.role, policies);
+  const considered = [];
+
+  if (!grants.length) {
+    return {
+      allowed: false,
+      permission,
+      role: user.role,
+      reason: `Role "${user.role}" has no permissions`,
+      considered
+    };
+  }
+
+  for (const { permission: granted, role } of grants) {
+    const [grantedType, grantedAction, scope = 'any'] = granted.split(':');
+    if (!segmentMatches(grantedType, resourceType) || !segmentMatches(grantedAction, action)) continue;
+
+    const check = SCOPE_CHECKS[scope];
+    const { passed, detail } = check ? check(user, resource) : { passed: false, detail: `unknown scope "${scope}"` };
+    considered.push({ grant: granted, role, scope, passed, detail });
+
+    if (passed) {
+      return {
+        allowed: true,
+        permission,
+        role: user.role,
+        reason: `Allowed by "${granted}" from role "${role}": ${detail}`,
+        considered
+      };
+    }
+  }
+
+  return {
+    allowed: false,
+    permission,
+    role: user.role,
+    reason: considered.length
+      ? `No matching grant passed its scope check for "${permission}"`
+      : `No grant for "${permission}" in role "${user.role}"`,
+    considered
+  };
+};
+
+// loadResource(req) is awaited per request so ownership and tenant checks see
+// the current record; resolving to null responds with 404
+const requirePermission = (permission, { loadResource } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const resource = loadResource ? await loadResource(req) : null;
+      if (loadResource && !resource) {
+        return res.status(404).json({ error: 'Resource not found' });
+      }
+
+      const decision = evaluatePolicy({ user: req.user, permission, resource });
+      if (!decision.allowed) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      req.resource = resource;
+      req.authorization = decision;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 // Login route
 app.post('/api/auth/login', async (req, res) => {
   const { email, password } = req.body;
@@ -92,20 +258,20 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const accessToken = TokenManager.generateAccessToken(user);
-    const refreshToken = TokenManager.generateRefreshToken(user);
-
-    // Store refresh token in database
-    await storeRefreshToken(user.id, refreshToken);
-
-    // Set refresh token in HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    // Each login starts a new device session, which is also the token family
+    const familyId = crypto.randomUUID();
+    await createSession({
+      id: familyId,
+      userId: user.id,
+      userAgent: req.get('user-agent') || 'unknown',
+      ip: req.ip,
+      createdAt: new Date(),
+      lastUsedAt: new Date()
     });
 
+    const accessToken = TokenManager.generateAccessToken(user, familyId);
+    await issueRefreshToken(res, user, familyId);
+
     res.json({
       accessToken,
       user: {
@@ -136,14 +302,37 @@ app.post('/api/auth/refresh', async (req, res) => {
 
   try {
     // Verify refresh token exists in database
-    const storedToken = await findRefreshToken(decoded.userId, refreshToken);
+    const storedToken = await findRefreshToken(decoded.userId, decoded.jti);
+    const session = storedToken && await findSession(storedToken.familyId);
 
-    if (!storedToken) {
+    if (!storedToken || !session || session.revokedAt) {
+      res.clearCookie('refreshToken');
       return res.status(403).json({ error: 'Refresh token revoked' });
     }
 
     const user = await findUserById(decoded.userId);
-    const accessToken = TokenManager.generateAccessToken(user);
+
+    // Marking the old token used and storing its successor commit together,
+    // so a failure in between never leaves the family without a usable token.
+    // Only one request can move usedAt off NULL, so concurrent replays of
+    // the same token cannot both rotate it.
+    const nextRefreshToken = await withTransaction(async (transaction) => {
+      if (!await markRefreshTokenUsed(decoded.jti, transaction)) return null;
+      return createRefreshToken(user, session.id, transaction);
+    });
+
+    // A token that was already rotated is being replayed: either the client or
+    // an attacker holds a stolen copy, so the whole family is revoked
+    if (!nextRefreshToken) {
+      await revokeSession(storedToken.familyId);
+      res.clearCookie('refreshToken');
+      return res.status(403).json({ error: 'Refresh token reuse detected' });
+    }
+
+    await touchSession(session.id, { lastUsedAt: new Date(), ip: req.ip });
+
+    const accessToken = TokenManager.generateAccessToken(user, session.id);
+    setRefreshCookie(res, nextRefreshToken);
 
     res.json({ accessToken });
   } catch (error) {
@@ -155,8 +344,12 @@ app.post('/api/auth/refresh', async (req, res) => {
 // Logout route
 app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    // Remove refresh token from database
-    await removeRefreshToken(req.user.userId);
+    // Revoke only this device's session; other devices stay signed in
+    if (req.user.sessionId) {
+      await revokeSession(req.user.sessionId);
+    } else {
+      await removeRefreshToken(req.user.userId);
+    }
 
     // Clear refresh token cookie
     res.clearCookie('refreshToken');
@@ -168,11 +361,111 @@ app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Device sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+
+    res.json({
+      sessions: sessions
+        .filter(session => !session.revokedAt)
+        .map(session => ({
+          id: session.id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session.id === req.user.sessionId
+        }))
+    });
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+
+    // Sessions of other users are reported as missing rather than forbidden
+    if (!session || session.userId !== req.user.userId || session.revokedAt) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+
+    if (session.id === req.user.sessionId) {
+      res.clearCookie('refreshToken');
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revokes every session except the one making the request
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    const others = sessions.filter(session => !session.revokedAt && session.id !== req.user.sessionId);
+
+    await Promise.all(others.map(session => revokeSession(session.id)));
+
+    res.json({ message: 'Other sessions revoked', revoked: others.length });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Protected route example
 app.get('/api/protected', authenticateToken, (req, res) => {
   res.json({ message: 'Protected data', user: req.user });
 });
 
+// Ownership is evaluated against the loaded order on every request
+app.get('/api/orders/:id',
+  authenticateToken,
+  requirePermission('orders:read', { loadResource: req => findOrderById(req.params.id) }),
+  (req, res) => {
+    res.json({ order: req.resource });
+});
+
+// Policy dry run: explains whether a request would be allowed. Users may
+// check their own access; evaluating another subject needs policies:evaluate
+// within the same tenant (or any tenant for admins).
+app.post('/api/policy/evaluate', authenticateToken, async (req, res) => {
+  const { permission, resource = null, subject = null } = req.body;
+
+  if (typeof permission !== 'string' || permission.split(':').length !== 2) {
+    return res.status(400).json({ error: 'permission must look like "resource:action"' });
+  }
+
+  try {
+    let user = req.user;
+
+    if (subject) {
+      const check = evaluatePolicy({
+        user: req.user,
+        permission: 'policies:evaluate',
+        resource: { tenantId: subject.tenantId }
+      });
+      if (!check.allowed) {
+        return res.status(403).json({ error: 'Insufficient permissions', decision: check });
+      }
+      user = { userId: subject.userId, role: subject.role, tenantId: subject.tenantId };
+    }
+
+    res.json({ decision: evaluatePolicy({ user, permission, resource }) });
+  } catch (error) {
+    console.error('Policy evaluation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Admin route example
 app.get('/api/admin', 
   authenticateToken, 
@@ -196,18 +489,56 @@ async function findUserById(id) {
   // Implement user lookup logic
 }
 
-async function storeRefreshToken(userId, token) {
-  // Implement token storage logic
+async function findOrderById(id) {
+  // Implement order lookup logic; resolve to { id, ownerId, tenantId, ... }
+}
+
+async function withTransaction(callback) {
+  // Implement running callback(transaction) in one database transaction:
+  // commit when it resolves, roll back and rethrow when it throws
 }
 
-async function findRefreshToken(userId, token) {
-  // Implement token lookup logic
+async function storeRefreshToken(userId, token, { jti, familyId }, transaction) {
+  // Implement token storage logic (store a hash of the token keyed by jti,
+  // with its familyId and usedAt = null)
+}
+
+async function findRefreshToken(userId, jti) {
+  // Implement token lookup logic; resolve to { jti, familyId, usedAt } or null
+}
+
+async function markRefreshTokenUsed(jti, transaction) {
+  // Implement as a conditional update that only touches an unused token, e.g.
+  // UPDATE refresh_tokens SET used_at = NOW() WHERE jti = ? AND used_at IS NULL,
+  // and resolve to true only when a row was updated
 }
 
 async function removeRefreshToken(userId) {
   // Implement token removal logic
 }
 
+async function createSession(session) {
+  // Implement session storage logic
+  // { id, userId, userAgent, ip, createdAt, lastUsedAt, revokedAt }
+}
+
+async function findSession(sessionId) {
+  // Implement session lookup logic
+}
+
+async function listSessions(userId) {
+  // Implement lookup of all sessions belonging to a user
+}
+
+async function touchSession(sessionId, updates) {
+  // Implement updating lastUsedAt and ip for a session
+}
+
+async function revokeSession(sessionId) {
+  // Implement setting revokedAt on the session and deleting every refresh
+  // token in its family
+}
+
 // Example usage in client-side code
 const apiClient = {
   setAccessToken(token) {
@@ -5,80 +5,261 @@ class ImageCompressor {
       maxWidth: 1920,
       maxHeight: 1080,
       mimeType: 'image/jpeg',
+      // Candidate output formats; the smallest encoded result wins
+      formats: null,
+      // Byte budget; when set, quality is searched between minQuality and quality
+      targetSize: null,
+      minQuality: 0.3,
+      searchSteps: 7,
       fileName: 'compressed-image'
     };
     this.options = { ...this.defaults, ...options };
   }
 
-  compress(file) {
-    return new Promise((resolve, reject) => {
-      if (!file || !file.type.startsWith('image/')) {
-        reject(new Error('Please provide a valid image file'));
-        return;
+  async compress(file) {
+    if (!file || !file.type.startsWith('image/')) {
+      throw new Error('Please provide a valid image file');
+    }
+
+    const source = await this.loadImage(file);
+    const { width, height } = this.calculateDimensions(source);
+    const formats = this.options.formats || [this.options.mimeType];
+    const candidates = [];
+
+    for (const mimeType of formats) {
+      const result = await this.encodeWithinBudget(source, width, height, mimeType);
+      if (result) candidates.push(result);
+    }
+
+    if (!candidates.length) {
+      throw new Error('None of the requested output formats is supported by this browser');
+    }
+
+    const best = candidates.reduce((smallest, candidate) => {
+      return candidate.blob.size < smallest.blob.size ? candidate : smallest;
+    });
+
+    const compressedFile = new File(
+      [best.blob],
+      this.options.fileName + this.getFileExtension(best.mimeType),
+      {
+        type: best.mimeType
       }
+    );
+
+    return {
+      file: compressedFile,
+      originalSize: this.formatBytes(file.size),
+      compressedSize: this.formatBytes(best.blob.size),
+      compressionRatio: ((1 - best.blob.size / file.size) * 100).toFixed(2) + '%',
+      width: best.width,
+      height: best.height,
+      mimeType: best.mimeType,
+      quality: best.quality,
+      withinBudget: best.withinBudget,
+      candidates: candidates.map(({ mimeType, quality, blob }) => ({
+        mimeType,
+        quality,
+        size: this.formatBytes(blob.size)
+      })),
+      downloadUrl: URL.createObjectURL(best.blob)
+    };
+  }
+
+  // Returns an upright image source. createImageBitmap applies EXIF
+  // orientation itself; the fallback path reads the tag and rotates manually.
+  async loadImage(file) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        return { image: bitmap, width: bitmap.width, height: bitmap.height, orientation: 1 };
+      } catch (error) {
+        // Fall through to the <img> path for formats createImageBitmap rejects
+      }
+    }
 
+    const image = await new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.readAsDataURL(file);
 
       reader.onload = (event) => {
         const img = new Image();
         img.src = event.target.result;
-
-        img.onload = () => {
-          const { width, height } = this.calculateDimensions(img);
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-
-          canvas.width = width;
-          canvas.height = height;
-
-          // Apply smoothing
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = 'high';
-
-          // Draw image on canvas
-          ctx.drawImage(img, 0, 0, width, height);
-
-          // Convert to blob and resolve promise
-          canvas.toBlob(
-            (blob) => {
-              if (!blob) {
-                reject(new Error('Canvas to Blob conversion failed'));
-                return;
-              }
-
-              const compressedFile = new File(
-                [blob],
-                this.options.fileName + this.getFileExtension(this.options.mimeType),
-                {
-                  type: this.options.mimeType
-                }
-              );
-
-              resolve({
-                file: compressedFile,
-                originalSize: this.formatBytes(file.size),
-                compressedSize: this.formatBytes(blob.size),
-                compressionRatio: ((1 - blob.size / file.size) * 100).toFixed(2) + '%',
-                width,
-                height,
-                downloadUrl: URL.createObjectURL(blob)
-              });
-            },
-            this.options.mimeType,
-            this.options.quality
-          );
-        };
-
-        img.onerror = () => {
-          reject(new Error('Failed to load image'));
-        };
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
       };
 
       reader.onerror = () => {
         reject(new Error('Failed to read file'));
       };
     });
+
+    // Browsers that honour image-orientation already draw the <img> upright
+    const browserRotates = typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+    const orientation = browserRotates ? 1 : await this.readOrientation(file);
+    const swapped = orientation >= 5;
+
+    return {
+      image,
+      width: swapped ? image.height : image.width,
+      height: swapped ? image.width : image.height,
+      orientation
+    };
+  }
+
+  // Reads the EXIF Orientation tag (0x0112) from a JPEG; 1 means upright.
+  // Offsets come from the file itself, so any that point past the data read
+  // (truncated or malformed EXIF) fall back to 1 instead of throwing.
+  async readOrientation(file) {
+    if (file.type !== 'image/jpeg') return 1;
+
+    const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+
+      // APP1 segment starting with "Exif\0\0"
+      if (marker === 0xFFE1 && offset + 8 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        if (tiff + 8 > view.byteLength) return 1;
+
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        if (ifd + 2 > view.byteLength) return 1;
+
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (entry + 10 > view.byteLength) return 1;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, little);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+
+      if ((marker & 0xFF00) !== 0xFF00) break;
+      offset += 2 + length;
+    }
+
+    return 1;
+  }
+
+  drawImage(source, width, height) {
+    // Web Workers have no DOM, only OffscreenCanvas
+    const canvas = typeof document !== 'undefined'
+      ? document.createElement('canvas')
+      : new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    canvas.width = width;
+    canvas.height = height;
+
+    // Apply smoothing
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // Rotate/flip the context so the EXIF orientation ends up upright
+    switch (source.orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+      default: break;
+    }
+
+    // Draw image on canvas
+    if (source.orientation >= 5) {
+      ctx.drawImage(source.image, 0, 0, height, width);
+    } else {
+      ctx.drawImage(source.image, 0, 0, width, height);
+    }
+
+    return canvas;
+  }
+
+  encode(canvas, mimeType, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type: mimeType, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (!blob) {
+            reject(new Error('Canvas to Blob conversion failed'));
+            return;
+          }
+          resolve(blob);
+        },
+        mimeType,
+        quality
+      );
+    });
+  }
+
+  // Binary-searches the highest quality whose output fits targetSize. If even
+  // minQuality is too large the dimensions shrink and the search repeats.
+  // Resolves to null when the browser cannot encode mimeType.
+  async encodeWithinBudget(source, width, height, mimeType) {
+    const { quality, minQuality, targetSize, searchSteps } = this.options;
+    let fallback = null;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const canvas = this.drawImage(source, width, height);
+      const first = await this.encode(canvas, mimeType, quality);
+
+      // Unsupported types silently fall back to PNG
+      if (first.type !== mimeType) return null;
+
+      if (!targetSize || first.size <= targetSize) {
+        return { blob: first, mimeType, quality, width, height, withinBudget: true };
+      }
+
+      let low = minQuality;
+      let high = quality;
+      let best = null;
+
+      for (let step = 0; step < searchSteps; step++) {
+        const mid = (low + high) / 2;
+        const blob = await this.encode(canvas, mimeType, mid);
+        if (blob.size <= targetSize) {
+          best = { blob, quality: mid };
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+
+      if (!best) {
+        const floor = await this.encode(canvas, mimeType, minQuality);
+        if (floor.size <= targetSize) best = { blob: floor, quality: minQuality };
+      }
+
+      if (best) {
+        return {
+          blob: best.blob,
+          mimeType,
+          quality: Number(best.quality.toFixed(3)),
+          width,
+          height,
+          withinBudget: true
+        };
+      }
+
+      fallback = { blob: first, mimeType, quality, width, height, withinBudget: false };
+      width = Math.round(width * 0.8);
+      height = Math.round(height * 0.8);
+    }
+
+    return fallback;
   }
 
   calculateDimensions(img) {
@@ -112,16 +293,245 @@ class ImageCompressor {
         return '.png';
       case 'image/webp':
         return '.webp';
+      case 'image/avif':
+        return '.avif';
       default:
         return '.jpg';
     }
   }
 }
 
+// Batch compression
+// The worker script embeds the ImageCompressor source, so workers and the
+// main thread share one implementation. Inside a worker drawImage and encode
+// use OffscreenCanvas.
+const createWorkerScript = () => `
+${ImageCompressor.toString()}
+
+self.onmessage = async ({ data }) => {
+  const { id, file, options } = data;
+  try {
+    const compressor = new ImageCompressor(options);
+    const { downloadUrl, ...result } = await compressor.compress(file);
+    URL.revokeObjectURL(downloadUrl);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+`;
+
+class BatchCompressor {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: Math.min(navigator.hardwareConcurrency || 2, 4),
+      compressorOptions: {},
+      ...options
+    };
+    this.workers = [];
+    this.workerUrl = null;
+    this.stats = new ImageCompressor();
+  }
+
+  static supportsWorkers() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+  }
+
+  createWorkers() {
+    this.workerUrl = URL.createObjectURL(new Blob([createWorkerScript()], { type: 'text/javascript' }));
+    this.workers = Array.from({ length: this.options.concurrency }, () => new Worker(this.workerUrl));
+  }
+
+  runInWorker(worker, id, file, options) {
+    return new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => {
+        if (data.id !== id) return;
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve({ ...data.result, downloadUrl: URL.createObjectURL(data.result.file) });
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        reject(new Error(event.message || 'Worker failed'));
+      };
+      worker.postMessage({ id, file, options });
+    });
+  }
+
+  // Compresses every file, calling onProgress(entry, entries) whenever a file
+  // changes state (queued -> compressing -> done | failed)
+  async compressAll(files, onProgress = () => {}) {
+    const entries = Array.from(files).map((file, index) => ({
+      index,
+      file,
+      status: 'queued',
+      result: null,
+      error: null
+    }));
+    let next = 0;
+
+    const useWorkers = BatchCompressor.supportsWorkers();
+    if (useWorkers) this.createWorkers();
+
+    // Each runner is either a worker or, as a fallback, the main thread
+    const runners = useWorkers ? this.workers : [null];
+
+    const drain = async (worker) => {
+      while (next < entries.length) {
+        const entry = entries[next++];
+        const options = {
+          ...this.options.compressorOptions,
+          fileName: 'compressed-' + entry.file.name.replace(/\.[^.]+$/, '')
+        };
+
+        entry.status = 'compressing';
+        onProgress(entry, entries);
+
+        try {
+          entry.result = worker
+            ? await this.runInWorker(worker, entry.index, entry.file, options)
+            : await new ImageCompressor(options).compress(entry.file);
+          entry.status = 'done';
+        } catch (error) {
+          entry.status = 'failed';
+          entry.error = error.message;
+        }
+        onProgress(entry, entries);
+      }
+    };
+
+    try {
+      await Promise.all(runners.map(drain));
+    } finally {
+      this.terminate();
+    }
+
+    return entries;
+  }
+
+  summarize(entries) {
+    const done = entries.filter(entry => entry.status === 'done');
+    const originalBytes = done.reduce((sum, entry) => sum + entry.file.size, 0);
+    const compressedBytes = done.reduce((sum, entry) => sum + entry.result.file.size, 0);
+
+    return {
+      files: entries.length,
+      compressed: done.length,
+      failed: entries.length - done.length,
+      originalSize: this.stats.formatBytes(originalBytes),
+      compressedSize: this.stats.formatBytes(compressedBytes),
+      saved: this.stats.formatBytes(Math.max(originalBytes - compressedBytes, 0)),
+      compressionRatio: originalBytes
+        ? ((1 - compressedBytes / originalBytes) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+
+  terminate() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+  }
+}
+
+// Minimal ZIP writer. Entries are stored uncompressed: the images are already
+// compressed, so deflating them again would cost time for almost no gain.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+async function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const usedNames = new Set();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const { name, blob } of files) {
+    // Keep names unique so no entry overwrites another on extraction
+    let uniqueName = name;
+    for (let i = 2; usedNames.has(uniqueName); i++) {
+      uniqueName = name.replace(/(\.[^.]+)?$/, ` (${i})$1`);
+    }
+    usedNames.add(uniqueName);
+
+    const nameBytes = encoder.encode(uniqueName);
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(local, nameBytes, data);
+    centralDirectory.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
 // Usage example with HTML
 `
 <div class="image-compressor">
-  <input type="file" id="imageInput" accept="image/*">
+  <input type="file" id="imageInput" accept="image/*" multiple>
   <div class="compression-options">
     <label>
       Quality (0-1):
@@ -135,9 +545,23 @@ class ImageCompressor {
       Max Height:
       <input type="number" id="heightInput" value="1080">
     </label>
+    <label>
+      Target Size (KB, optional):
+      <input type="number" id="targetSizeInput" min="1" placeholder="e.g. 300">
+    </label>
+    <label>
+      Format:
+      <select id="formatInput">
+        <option value="auto">Smallest of AVIF/WebP/JPEG</option>
+        <option value="image/avif">AVIF</option>
+        <option value="image/webp">WebP</option>
+        <option value="image/jpeg">JPEG</option>
+      </select>
+    </label>
   </div>
   <div id="preview"></div>
   <div id="stats"></div>
+  <div id="batch"></div>
 </div>
 `
 
@@ -146,17 +570,134 @@ const imageInput = document.getElementById('imageInput');
 const qualityInput = document.getElementById('qualityInput');
 const widthInput = document.getElementById('widthInput');
 const heightInput = document.getElementById('heightInput');
+const targetSizeInput = document.getElementById('targetSizeInput');
+const formatInput = document.getElementById('formatInput');
 const preview = document.getElementById('preview');
 const stats = document.getElementById('stats');
+const batch = document.getElementById('batch');
+
+const getCompressorOptions = () => ({
+  quality: parseFloat(qualityInput.value),
+  maxWidth: parseInt(widthInput.value),
+  maxHeight: parseInt(heightInput.value),
+  targetSize: targetSizeInput.value ? parseInt(targetSizeInput.value) * 1024 : null,
+  formats: formatInput.value === 'auto'
+    ? ['image/avif', 'image/webp', 'image/jpeg']
+    : [formatInput.value]
+});
+
+const formatBytes = (bytes) => ImageCompressor.prototype.formatBytes(bytes);
+
+// Object URLs keep their blobs alive until revoked, so the ones behind the
+// current results are released whenever those results are replaced
+let objectUrls = [];
+
+const trackObjectUrl = (url) => {
+  objectUrls.push(url);
+  return url;
+};
+
+const releaseObjectUrls = () => {
+  objectUrls.forEach(url => URL.revokeObjectURL(url));
+  objectUrls = [];
+};
+
+const renderBatchRow = (entry) => {
+  const row = document.getElementById(`batch-row-${entry.index}`);
+  if (!row) return;
+
+  const after = entry.result ? `${entry.result.compressedSize} (${entry.result.compressionRatio})` : '-';
+  const cells = [
+    entry.file.name,
+    entry.status === 'failed' ? `failed: ${entry.error}` : entry.status,
+    formatBytes(entry.file.size),
+    after
+  ];
+
+  // File names and error messages are user-controlled, so they go in as text
+  row.className = `batch-row batch-${entry.status}`;
+  row.replaceChildren(...cells.map(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+  }));
+};
+
+const runBatch = async (files) => {
+  const batchCompressor = new BatchCompressor({ compressorOptions: getCompressorOptions() });
+
+  releaseObjectUrls();
+  preview.innerHTML = '';
+  stats.innerHTML = '';
+  batch.innerHTML = `
+    <progress id="batch-progress" max="${files.length}" value="0"></progress>
+    <table class="batch-table">
+      <thead><tr><th>File</th><th>Status</th><th>Before</th><th>After</th></tr></thead>
+      <tbody>
+        ${Array.from(files).map((file, index) => `<tr id="batch-row-${index}"></tr>`).join('')}
+      </tbody>
+    </table>
+    <div id="batch-summary"></div>
+  `;
+
+  const progress = document.getElementById('batch-progress');
+  const entries = await batchCompressor.compressAll(files, (entry, all) => {
+    if (entry.result) trackObjectUrl(entry.result.downloadUrl);
+    renderBatchRow(entry);
+    progress.value = all.filter(item => item.status === 'done' || item.status === 'failed').length;
+  });
+  const summary = batchCompressor.summarize(entries);
+
+  const zip = await createZip(entries
+    .filter(entry => entry.status === 'done')
+    .map(entry => ({ name: entry.result.file.name, blob: entry.result.file })));
+
+  document.getElementById('batch-summary').innerHTML = `
+    <div class="compression-stats">
+      <p>Compressed ${summary.compressed} of ${summary.files} files (${summary.failed} failed)</p>
+      <p>Total Before: ${summary.originalSize}</p>
+      <p>Total After: ${summary.compressedSize}</p>
+      <p>Saved: ${summary.saved} (${summary.compressionRatio})</p>
+    </div>
+    <a href="${trackObjectUrl(URL.createObjectURL(zip))}" download="compressed-images.zip" class="download-button">
+      Download All as ZIP
+    </a>
+  `;
+};
+
+// Replaces the progress bar with the error so the batch no longer looks busy
+const showBatchError = (error) => {
+  const progress = document.getElementById('batch-progress');
+  if (progress) progress.remove();
+
+  const message = document.createElement('p');
+  message.className = 'batch-error';
+  message.textContent = `Batch compression failed: ${error.message}`;
+  (document.getElementById('batch-summary') || batch).replaceChildren(message);
+};
 
 imageInput.addEventListener('change', async (e) => {
+  if (e.target.files.length > 1) {
+    imageInput.disabled = true;
+    try {
+      await runBatch(e.target.files);
+    } catch (error) {
+      showBatchError(error);
+      // Lets the same selection be picked again to retry
+      imageInput.value = '';
+    } finally {
+      imageInput.disabled = false;
+    }
+    return;
+  }
+
   const file = e.target.files[0];
   if (!file) return;
 
+  releaseObjectUrls();
+  batch.innerHTML = '';
   const compressor = new ImageCompressor({
-    quality: parseFloat(qualityInput.value),
-    maxWidth: parseInt(widthInput.value),
-    maxHeight: parseInt(heightInput.value),
+    ...getCompressorOptions(),
     fileName: 'compressed-' + file.name.split('.')[0]
   });
 
@@ -165,6 +706,7 @@ imageInput.addEventListener('change', async (e) => {
     stats.innerHTML = '';
 
     const result = await compressor.compress(file);
+    trackObjectUrl(result.downloadUrl);
 
     // Display preview
     preview.innerHTML = `
@@ -183,6 +725,8 @@ imageInput.addEventListener('change', async (e) => {
         <p>Compressed Size: ${result.compressedSize}</p>
         <p>Compression Ratio: ${result.compressionRatio}</p>
         <p>Dimensions: ${result.width}x${result.height}</p>
+        <p>Format: ${result.mimeType} at quality ${result.quality}</p>
+        ${result.withinBudget ? '' : '<p>Could not reach the target size</p>'}
       </div>
     `;
   } catch (error) {
@@ -230,6 +774,27 @@ imageInput.addEventListener('change', async (e) => {
   border-radius: 5px;
 }
 
+.batch-table {
+  width: 100%;
+  border-collapse: collapse;
+  margin: 10px 0;
+}
+
+.batch-table th,
+.batch-table td {
+  padding: 6px 8px;
+  border-bottom: 1px solid #dee2e6;
+  text-align: left;
+}
+
+.batch-failed {
+  color: #dc3545;
+}
+
+.batch-done {
+  color: #198754;
+}
+
 .compression-stats {
   margin: 20px 0;
   padding: 10px;
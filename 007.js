@@ -1,37 +1,380 @@
+const fs = require('fs');
+
+// Persistence adapters
+// Adapters store plain task records: { id, type, payload, priority, status,
+// attempts, options, ... }. Only tasks with a registered handler type can be
+// restored after a restart; inline function tasks live in memory only.
+class MemoryTaskStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load() {
+    return Array.from(this.records.values());
+  }
+
+  async save(record) {
+    this.records.set(record.id, { ...record });
+  }
+
+  async remove(taskId) {
+    this.records.delete(taskId);
+  }
+}
+
+class FileTaskStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    records.forEach(record => this.records.set(record.id, record));
+    return records;
+  }
+
+  async save(record) {
+    this.records.set(record.id, { ...record });
+    return this.flush();
+  }
+
+  async remove(taskId) {
+    this.records.delete(taskId);
+    return this.flush();
+  }
+
+  // Writes go to a temp file that is renamed over the original, so a crash
+  // mid-write never leaves a truncated queue behind
+  flush() {
+    this.writeChain = this.writeChain.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(Array.from(this.records.values())));
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.writeChain;
+  }
+}
+
+// Expects a better-sqlite3 compatible Database instance
+class SQLiteTaskStore {
+  constructor(db) {
+    this.db = db;
+    this.db.exec('CREATE TABLE IF NOT EXISTS tasks (id INTEGER PRIMARY KEY, record TEXT NOT NULL)');
+    this.insert = this.db.prepare('INSERT OR REPLACE INTO tasks (id, record) VALUES (?, ?)');
+    this.delete = this.db.prepare('DELETE FROM tasks WHERE id = ?');
+  }
+
+  async load() {
+    return this.db.prepare('SELECT record FROM tasks ORDER BY id').all()
+      .map(row => JSON.parse(row.record));
+  }
+
+  async save(record) {
+    this.insert.run(record.id, JSON.stringify(record));
+  }
+
+  async remove(taskId) {
+    this.delete.run(taskId);
+  }
+}
+
+// Orders workflow steps so every step comes after the steps it depends on.
+// Throws if a dependency is unknown or the steps form a cycle.
+function sortWorkflowSteps(steps) {
+  const order = [];
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (name) => {
+    if (state.get(name) === 2) return;
+    if (state.get(name) === 1) {
+      const cycle = [...stack.slice(stack.indexOf(name)), name];
+      throw new Error(`Workflow contains a cycle: ${cycle.join(' -> ')}`);
+    }
+
+    state.set(name, 1);
+    stack.push(name);
+    for (const dependency of steps[name].dependsOn || []) {
+      if (!steps[dependency]) {
+        throw new Error(`Step "${name}" depends on unknown step "${dependency}"`);
+      }
+      visit(dependency);
+    }
+    stack.pop();
+    state.set(name, 2);
+    order.push(name);
+  };
+
+  Object.keys(steps).forEach(visit);
+  return order;
+}
+
+class TaskTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Task timed out after ${timeout}ms`);
+    this.name = 'TaskTimeoutError';
+  }
+}
+
 class TaskQueue {
-  constructor(concurrencyLimit = 3) {
+  constructor(concurrencyLimit = 3, options = {}) {
     this.concurrencyLimit = concurrencyLimit;
     this.queue = [];
     this.activeCount = 0;
     this.results = new Map();
     this.taskCounter = 0;
+    this.store = options.store || new MemoryTaskStore();
+    this.handlers = new Map();
+    this.tasks = new Map();
+    this.deadLetters = new Map();
+    this.retryTimers = new Map();
+    this.blocked = new Map();
+    this.dependents = new Map();
+    this.graphNodes = new Map();
+    this.workflowCounter = 0;
+    this.defaultRetry = {
+      maxAttempts: 3,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      ...options.retry
+    };
+    this.defaultTimeout = options.timeout || null;
+    // Store failures while settling a task happen outside any caller's await
+    this.onError = options.onError || (error => console.error('Task queue error:', error));
   }
 
-  async addTask(task, priority = 0) {
+  // Named handlers make tasks serializable: the record stores the type and
+  // payload, and the handler is looked up again after a restart
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  // Reloads persisted tasks. Tasks that were running when the process died
+  // are queued again; dead letters stay dead until replayed.
+  async restore() {
+    const records = await this.store.load();
+    const restored = [];
+
+    for (const record of records) {
+      this.taskCounter = Math.max(this.taskCounter, record.id + 1);
+      const taskWrapper = { ...record, task: null };
+
+      if (record.status === 'dead') {
+        this.deadLetters.set(record.id, taskWrapper);
+        this.results.set(record.id, { status: 'dead', result: null, error: record.lastError });
+        continue;
+      }
+
+      // Completed tasks are only kept while dependents still need their output
+      if (record.status === 'completed') {
+        this.results.set(record.id, { status: 'completed', result: record.result, error: null });
+        continue;
+      }
+
+      taskWrapper.status = 'pending';
+      this.tasks.set(record.id, taskWrapper);
+      restored.push(taskWrapper);
+    }
+
+    restored.forEach(taskWrapper => this.linkDependencies(taskWrapper));
+    for (const taskWrapper of restored) {
+      await this.enqueueIfReady(taskWrapper);
+    }
+    return records.length;
+  }
+
+  // task is either an inline async function ({ signal, attempt, dependencies })
+  // => result or a { type, payload } descriptor for a registered handler.
+  // options.dependsOn lists task IDs that must complete first; their results
+  // are passed to the task as context.dependencies.
+  async addTask(task, priority = 0, options = {}) {
+    const isDescriptor = typeof task !== 'function';
+    const dependsOn = options.dependsOn || [];
+
+    if (isDescriptor && !this.handlers.has(task.type)) {
+      throw new Error(`No handler registered for task type "${task.type}"`);
+    }
+
+    const unknown = dependsOn.filter(dependencyId => !this.getTaskState(dependencyId));
+    if (unknown.length) {
+      throw new Error(`Unknown dependency task IDs: ${unknown.join(', ')}`);
+    }
+
     const taskId = this.taskCounter++;
+
     const taskWrapper = {
       id: taskId,
-      task,
+      task: isDescriptor ? null : task,
+      type: isDescriptor ? task.type : null,
+      payload: isDescriptor ? task.payload : null,
       priority,
       status: 'pending',
+      attempts: 0,
+      retry: { ...this.defaultRetry, ...options.retry },
+      timeout: options.timeout || this.defaultTimeout,
+      lastError: null,
+      dependsOn,
+      dependencyKeys: options.dependencyKeys || null,
+      name: options.name || null,
+      workflowId: options.workflowId || null,
       addedAt: Date.now()
     };
 
-    this.queue.push(taskWrapper);
-    this.sortQueue();
-    
+    this.tasks.set(taskId, taskWrapper);
+    this.linkDependencies(taskWrapper);
+    await this.persist(taskWrapper);
+
     // Start processing if we're under the concurrency limit
-    if (this.activeCount < this.concurrencyLimit) {
-      this.processNextTask();
-    }
+    await this.enqueueIfReady(taskWrapper);
 
     return taskId;
   }
 
+  // Adds a DAG of named steps: { name, steps: { stepName: { task, dependsOn,
+  // priority, options } } }. Steps receive their dependencies' results keyed
+  // by step name. Cycles are rejected before any task is queued.
+  async addWorkflow(workflow) {
+    const { name = 'workflow', steps } = workflow;
+    const order = sortWorkflowSteps(steps);
+    const workflowId = `${name}-${this.workflowCounter++}`;
+    const taskIds = {};
+
+    for (const stepName of order) {
+      const step = steps[stepName];
+      const stepDependencies = step.dependsOn || [];
+      const dependsOn = stepDependencies.map(dependency => taskIds[dependency]);
+
+      taskIds[stepName] = await this.addTask(step.task, step.priority || 0, {
+        ...step.options,
+        dependsOn,
+        dependencyKeys: Object.fromEntries(dependsOn.map((id, index) => [id, stepDependencies[index]])),
+        name: stepName,
+        workflowId
+      });
+    }
+
+    return { workflowId, taskIds };
+  }
+
+  getTaskState(taskId) {
+    if (this.tasks.has(taskId)) return this.tasks.get(taskId).status;
+    if (this.results.has(taskId)) return this.results.get(taskId).status;
+    return null;
+  }
+
+  linkDependencies(taskWrapper) {
+    const dependsOn = taskWrapper.dependsOn || [];
+    if (!dependsOn.length) return;
+
+    this.graphNodes.set(taskWrapper.id, taskWrapper);
+    dependsOn.forEach(dependencyId => {
+      if (!this.dependents.has(dependencyId)) {
+        this.dependents.set(dependencyId, new Set());
+      }
+      this.dependents.get(dependencyId).add(taskWrapper.id);
+
+      if (!this.graphNodes.has(dependencyId)) {
+        this.graphNodes.set(dependencyId, this.tasks.get(dependencyId) ||
+          { id: dependencyId, status: this.getTaskState(dependencyId), dependsOn: [] });
+      }
+    });
+  }
+
+  // Queues the task once every dependency has completed, cancels it as soon
+  // as one has failed or been cancelled, and otherwise leaves it blocked.
+  // A dependency with no state at all can only be an inline task lost in a
+  // restart, so the restored task could never run and is cancelled too.
+  async enqueueIfReady(taskWrapper) {
+    const states = (taskWrapper.dependsOn || []).map(dependencyId => this.getTaskState(dependencyId));
+
+    if (states.includes(null)) {
+      await this.cancelTask(taskWrapper, 'A dependency was not persisted and cannot be restored');
+      return;
+    }
+
+    if (states.some(state => state === 'dead' || state === 'cancelled')) {
+      await this.cancelTask(taskWrapper, 'A dependency failed or was cancelled');
+      return;
+    }
+
+    if (states.every(state => state === 'completed')) {
+      this.blocked.delete(taskWrapper.id);
+      taskWrapper.status = 'pending';
+      this.queue.push(taskWrapper);
+      this.sortQueue();
+      this.scheduleProcessing();
+      return;
+    }
+
+    taskWrapper.status = 'blocked';
+    this.blocked.set(taskWrapper.id, taskWrapper);
+  }
+
+  async cancelTask(taskWrapper, reason) {
+    taskWrapper.status = 'cancelled';
+    taskWrapper.lastError = reason;
+    this.blocked.delete(taskWrapper.id);
+    this.tasks.delete(taskWrapper.id);
+
+    this.results.set(taskWrapper.id, {
+      status: 'cancelled',
+      result: null,
+      error: reason,
+      attempts: taskWrapper.attempts
+    });
+    await this.store.remove(taskWrapper.id);
+    await this.settleTask(taskWrapper);
+  }
+
+  // Called whenever a task reaches a final state: wakes up (or cancels) the
+  // tasks blocked on it and drops stored results nobody is waiting for anymore
+  async settleTask(taskWrapper) {
+    for (const dependentId of this.dependents.get(taskWrapper.id) || []) {
+      const dependent = this.blocked.get(dependentId);
+      if (dependent) await this.enqueueIfReady(dependent);
+    }
+
+    for (const dependencyId of taskWrapper.dependsOn || []) {
+      if (this.hasOpenDependents(dependencyId) || this.tasks.has(dependencyId)) continue;
+      if (this.getTaskState(dependencyId) === 'completed') {
+        await this.store.remove(dependencyId);
+      }
+      this.forgetDependency(dependencyId);
+    }
+
+    if (!this.hasOpenDependents(taskWrapper.id)) {
+      this.graphNodes.delete(taskWrapper.id);
+      this.dependents.delete(taskWrapper.id);
+    }
+  }
+
+  // A settled dependency with no open dependents left is dropped from the
+  // graph. Its result stays available to callers like any other task's.
+  forgetDependency(dependencyId) {
+    this.graphNodes.delete(dependencyId);
+    this.dependents.delete(dependencyId);
+  }
+
+  hasOpenDependents(taskId) {
+    return Array.from(this.dependents.get(taskId) || []).some(dependentId => this.tasks.has(dependentId));
+  }
+
   sortQueue() {
     this.queue.sort((a, b) => b.priority - a.priority || a.addedAt - b.addedAt);
   }
 
+  scheduleProcessing() {
+    while (this.activeCount < this.concurrencyLimit && this.queue.length > 0) {
+      this.processNextTask().catch(error => this.onError(error));
+    }
+  }
+
   async processNextTask() {
     if (this.activeCount >= this.concurrencyLimit || this.queue.length === 0) {
       return;
@@ -40,34 +383,171 @@ class TaskQueue {
     const taskWrapper = this.queue.shift();
     this.activeCount++;
     taskWrapper.status = 'running';
+    taskWrapper.attempts++;
     taskWrapper.startedAt = Date.now();
 
     try {
-      const result = await Promise.resolve(taskWrapper.task());
-      this.handleTaskCompletion(taskWrapper.id, result);
+      await this.persist(taskWrapper);
+      const result = await this.runWithTimeout(taskWrapper);
+      await this.handleTaskCompletion(taskWrapper.id, result);
     } catch (error) {
-      this.handleTaskError(taskWrapper.id, error);
+      await this.handleTaskError(taskWrapper.id, error);
     } finally {
       this.activeCount--;
       taskWrapper.completedAt = Date.now();
-      this.processNextTask();
+      this.scheduleProcessing();
     }
   }
 
-  handleTaskCompletion(taskId, result) {
+  // The task receives an AbortSignal that fires on timeout, so well-behaved
+  // tasks can cancel their own work (fetch, streams, child processes)
+  runWithTimeout(taskWrapper) {
+    const controller = new AbortController();
+    const keys = taskWrapper.dependencyKeys || {};
+    const context = {
+      signal: controller.signal,
+      attempt: taskWrapper.attempts,
+      payload: taskWrapper.payload,
+      dependencies: Object.fromEntries((taskWrapper.dependsOn || []).map(dependencyId => [
+        keys[dependencyId] || dependencyId,
+        this.results.get(dependencyId).result
+      ]))
+    };
+    const run = taskWrapper.task
+      ? () => taskWrapper.task(context)
+      : () => this.handlers.get(taskWrapper.type)(taskWrapper.payload, context);
+
+    if (!taskWrapper.timeout) {
+      return Promise.resolve().then(run);
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new TaskTimeoutError(taskWrapper.timeout);
+        controller.abort(error);
+        reject(error);
+      }, taskWrapper.timeout);
+    });
+
+    return Promise.race([Promise.resolve().then(run), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+
+  async handleTaskCompletion(taskId, result) {
+    const taskWrapper = this.tasks.get(taskId);
+    taskWrapper.status = 'completed';
+    this.tasks.delete(taskId);
+
     this.results.set(taskId, {
       status: 'completed',
       result,
-      error: null
+      error: null,
+      attempts: taskWrapper.attempts
     });
+
+    // Keep the output persisted while dependents may still need it after a restart
+    if (this.hasOpenDependents(taskId)) {
+      taskWrapper.result = result;
+      await this.persist(taskWrapper);
+    } else {
+      await this.store.remove(taskId);
+    }
+    await this.settleTask(taskWrapper);
   }
 
-  handleTaskError(taskId, error) {
+  // Failed attempts are retried with exponential backoff until maxAttempts,
+  // then the task moves to the dead-letter list
+  async handleTaskError(taskId, error) {
+    const taskWrapper = this.tasks.get(taskId);
+    const { maxAttempts, baseDelay, maxDelay, factor } = taskWrapper.retry;
+    taskWrapper.lastError = error.message;
+
+    if (taskWrapper.attempts < maxAttempts) {
+      const delay = Math.min(baseDelay * Math.pow(factor, taskWrapper.attempts - 1), maxDelay);
+      taskWrapper.status = 'retrying';
+      taskWrapper.retryAt = Date.now() + delay;
+
+      this.retryTimers.set(taskId, setTimeout(() => {
+        this.retryTimers.delete(taskId);
+        taskWrapper.status = 'pending';
+        this.queue.push(taskWrapper);
+        this.sortQueue();
+        this.scheduleProcessing();
+      }, delay));
+
+      this.results.set(taskId, {
+        status: 'retrying',
+        result: null,
+        error: error.message,
+        attempts: taskWrapper.attempts
+      });
+      await this.persist(taskWrapper);
+      return;
+    }
+
+    taskWrapper.status = 'dead';
+    taskWrapper.failedAt = Date.now();
+    this.tasks.delete(taskId);
+    this.deadLetters.set(taskId, taskWrapper);
+
     this.results.set(taskId, {
-      status: 'failed',
+      status: 'dead',
       result: null,
-      error: error.message
+      error: error.message,
+      attempts: taskWrapper.attempts
     });
+    await this.persist(taskWrapper);
+    await this.settleTask(taskWrapper);
+  }
+
+  // Inline function tasks cannot be revived after a restart, so only
+  // handler-based tasks are written to the store
+  persist(taskWrapper) {
+    if (!taskWrapper.type) return Promise.resolve();
+    const { task, ...record } = taskWrapper;
+    return this.store.save(record);
+  }
+
+  getDeadLetters() {
+    return Array.from(this.deadLetters.values()).map(({ task, ...record }) => record);
+  }
+
+  // Puts a dead-lettered task back on the queue with a fresh attempt budget
+  async replayDeadLetter(taskId) {
+    const taskWrapper = this.deadLetters.get(taskId);
+    if (!taskWrapper) {
+      throw new Error('Dead-lettered task not found');
+    }
+    if (!taskWrapper.task && !this.handlers.has(taskWrapper.type)) {
+      throw new Error(`No handler registered for task type "${taskWrapper.type}"`);
+    }
+
+    this.deadLetters.delete(taskId);
+    this.results.delete(taskId);
+    taskWrapper.status = 'pending';
+    taskWrapper.attempts = 0;
+    taskWrapper.lastError = null;
+    this.tasks.set(taskId, taskWrapper);
+    this.queue.push(taskWrapper);
+    this.sortQueue();
+
+    await this.persist(taskWrapper);
+    this.scheduleProcessing();
+    return taskId;
+  }
+
+  async replayAllDeadLetters() {
+    const taskIds = Array.from(this.deadLetters.keys());
+    for (const taskId of taskIds) {
+      await this.replayDeadLetter(taskId);
+    }
+    return taskIds;
+  }
+
+  async purgeDeadLetter(taskId) {
+    this.deadLetters.delete(taskId);
+    await this.store.remove(taskId);
   }
 
   async getTaskResult(taskId) {
@@ -78,21 +558,53 @@ class TaskQueue {
   }
 
   getQueueStatus() {
+    const counts = {
+      pending: this.queue.length,
+      blocked: this.blocked.size,
+      running: this.activeCount,
+      retrying: this.retryTimers.size,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      deadLettered: this.deadLetters.size
+    };
+
+    this.results.forEach(result => {
+      if (result.status === 'completed') counts.completed++;
+      if (result.status === 'dead') counts.failed++;
+      if (result.status === 'cancelled') counts.cancelled++;
+    });
+
+    // Only tasks that take part in a dependency appear in the graph
+    const nodes = Array.from(this.graphNodes.values()).map(node => ({
+      id: node.id,
+      name: node.name || null,
+      workflowId: node.workflowId || null,
+      status: this.getTaskState(node.id) || node.status
+    }));
+    const edges = Array.from(this.graphNodes.values()).flatMap(node => {
+      return (node.dependsOn || []).map(dependencyId => ({ from: dependencyId, to: node.id }));
+    });
+
     return {
       queueLength: this.queue.length,
       activeCount: this.activeCount,
-      completedTasks: Array.from(this.results.entries()).filter(([_, result]) => 
-        result.status === 'completed'
-      ).length,
-      failedTasks: Array.from(this.results.entries()).filter(([_, result]) => 
-        result.status === 'failed'
-      ).length
+      completedTasks: counts.completed,
+      failedTasks: counts.failed,
+      counts,
+      graph: { nodes, edges }
     };
   }
 
   clearResults() {
     this.results.clear();
   }
+
+  // Stops pending retries so the process can exit; persisted tasks resume on restore()
+  shutdown() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
 }
 
 // Task Factory for testing
@@ -110,11 +622,46 @@ class TaskFactory {
       throw new Error('Task failed');
     };
   }
+
+  // Wraps a function of the upstream results into a workflow task
+  static createTransformTask(transform) {
+    return async ({ dependencies }) => transform(dependencies);
+  }
+
+  // Builds a workflow definition for TaskQueue.addWorkflow. Each step is
+  // { task, dependsOn?, priority?, options? }; cycles throw immediately.
+  static createWorkflow(name, steps) {
+    sortWorkflowSteps(steps);
+    return { name, steps };
+  }
+
+  // Stops its timer when the queue aborts it, e.g. after a timeout
+  static createCancellableTask(delay, value) {
+    return ({ signal }) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(value), delay);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      });
+    });
+  }
 }
 
 // Example usage and testing
 async function runExample() {
-  const taskQueue = new TaskQueue(3);
+  const taskQueue = new TaskQueue(3, {
+    store: new FileTaskStore('task-queue.json'),
+    retry: { maxAttempts: 2, baseDelay: 500 },
+    timeout: 5000
+  });
+
+  taskQueue.registerHandler('sendEmail', async (payload) => {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    return `Email sent to ${payload.to}`;
+  });
+
+  // Resume whatever a previous run left behind
+  await taskQueue.restore();
 
   // Create an array of tasks with different priorities and execution times
   const tasks = [
@@ -123,13 +670,19 @@ async function runExample() {
     { task: TaskFactory.createDelayedTask(3000, 'Task 3'), priority: 0 },
     { task: TaskFactory.createErrorTask(1500), priority: 3 },
     { task: TaskFactory.createDelayedTask(2500, 'Task 5'), priority: 1 },
-    { task: TaskFactory.createDelayedTask(1800, 'Task 6'), priority: 2 }
+    { task: TaskFactory.createDelayedTask(1800, 'Task 6'), priority: 2 },
+    { task: { type: 'sendEmail', payload: { to: 'user@example.com' } }, priority: 1 }
   ];
 
   // Add tasks to queue
   const taskIds = await Promise.all(
     tasks.map(({ task, priority }) => taskQueue.addTask(task, priority))
   );
+  taskIds.push(await taskQueue.addTask(
+    TaskFactory.createCancellableTask(3000, 'Too slow'),
+    0,
+    { timeout: 1000, retry: { maxAttempts: 1 } }
+  ));
 
   // Monitor queue status
   const statusInterval = setInterval(() => {
@@ -141,7 +694,8 @@ async function runExample() {
   await new Promise(resolve => {
     const checkCompletion = setInterval(() => {
       const status = taskQueue.getQueueStatus();
-      if (status.queueLength === 0 && status.activeCount === 0) {
+      const { retrying, blocked } = status.counts;
+      if (status.queueLength === 0 && status.activeCount === 0 && retrying === 0 && blocked === 0) {
         clearInterval(checkCompletion);
         clearInterval(statusInterval);
         resolve();
@@ -158,6 +712,7 @@ async function runExample() {
   );
 
   console.log('Final Results:', results);
+  console.log('Dead Letters:', taskQueue.getDeadLetters());
 }
 
 // Task Progress Monitoring
@@ -193,6 +748,29 @@ class TaskProgressMonitor {
   }
 }
 
+// Example workflow: outputs of upstream steps feed downstream steps
+async function runWorkflowExample() {
+  const taskQueue = new TaskQueue(2);
+
+  const workflow = TaskFactory.createWorkflow('report', {
+    fetchOrders: { task: TaskFactory.createDelayedTask(500, [120, 80, 45]) },
+    fetchRefunds: { task: TaskFactory.createDelayedTask(300, [20]) },
+    total: {
+      task: TaskFactory.createTransformTask(({ fetchOrders, fetchRefunds }) => {
+        const sum = values => values.reduce((acc, value) => acc + value, 0);
+        return sum(fetchOrders) - sum(fetchRefunds);
+      }),
+      dependsOn: ['fetchOrders', 'fetchRefunds']
+    }
+  });
+
+  const { taskIds } = await taskQueue.addWorkflow(workflow);
+  console.log('Workflow Graph:', taskQueue.getQueueStatus().graph);
+
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  console.log('Workflow Total:', await taskQueue.getTaskResult(taskIds.total));
+}
+
 // Example with progress monitoring
 async function runWithMonitoring() {
   const taskQueue = new TaskQueue(3);
@@ -200,12 +778,7 @@ async function runWithMonitoring() {
 
   // Add progress listener
   monitor.addListener(status => {
-    console.log('Progress Update:', {
-      pending: status.queueLength,
-      active: status.activeCount,
-      completed: status.completedTasks,
-      failed: status.failedTasks
-    });
+    console.log('Progress Update:', status.counts);
   });
 
   monitor.startMonitoring();
@@ -218,4 +791,6 @@ async function runWithMonitoring() {
 }
 
 // Run the example
-runWithMonitoring().catch(console.error);
\ No newline at end of file
+runWithMonitoring()
+  .then(runWorkflowExample)
+  .catch(console.error);
\ No newline at end of file
@@ -1,32 +1,318 @@
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+
+// Identity never comes from the client. The application's login flow sets a
+// chat_token cookie made with signChatToken, and it is verified before the
+// WebSocket upgrade is accepted. Tokens are "<payload>.<signature>" in
+// base64url, signed with HMAC-SHA256.
+const CHAT_TOKEN_COOKIE = 'chat_token';
+const CHAT_TOKEN_TTL = 12 * 60 * 60 * 1000;
+
+const getTokenSecret = () => {
+  if (!process.env.CHAT_TOKEN_SECRET) {
+    throw new Error('CHAT_TOKEN_SECRET is not configured');
+  }
+  return process.env.CHAT_TOKEN_SECRET;
+};
+
+const signTokenPayload = (payload) => {
+  return crypto.createHmac('sha256', getTokenSecret()).update(payload).digest('base64url');
+};
+
+const signChatToken = ({ id, username }, ttl = CHAT_TOKEN_TTL) => {
+  const payload = Buffer.from(JSON.stringify({ sub: id, name: username, exp: Date.now() + ttl })).toString('base64url');
+  return `${payload}.${signTokenPayload(payload)}`;
+};
+
+// Returns { id, username } for a valid, unexpired token and null otherwise
+const verifyChatToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signTokenPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { sub, name, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof sub !== 'string' || typeof name !== 'string' || !(exp > Date.now())) return null;
+    return { id: sub, username: name };
+  } catch (error) {
+    return null;
+  }
+};
+
+const readCookie = (header, name) => {
+  const pair = (header || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+const isSameOrigin = (origin, host) => {
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Browsers attach cookies to cross-site WebSocket requests too, so the cookie
+// only counts when the page that opened the socket is our own. ws calls this
+// outside any error handler, so a malformed cookie or a missing secret must
+// end in a rejected upgrade rather than a thrown error.
+const authenticateUpgrade = ({ origin, req }, done) => {
+  if (origin && !isSameOrigin(origin, req.headers.host)) {
+    return done(false, 403);
+  }
+
+  let user;
+  try {
+    user = verifyChatToken(readCookie(req.headers.cookie, CHAT_TOKEN_COOKIE));
+  } catch (error) {
+    console.error('Failed to verify chat token:', error.message);
+    user = null;
+  }
+  if (!user) {
+    return done(false, 401);
+  }
+
+  req.user = user;
+  done(true);
+};
+
+const wss = new WebSocket.Server({ server, verifyClient: authenticateUpgrade });
 
 // Serve static files
 app.use(express.static('public'));
 
-// Store active users and their connections
+// Store active users and their connections, keyed by connection id since one
+// user may have several tabs open
 const activeUsers = new Map();
 
-// Message history
-const messageHistory = [];
+// Page size for history requests
 const MAX_HISTORY = 50;
+const DEFAULT_ROOM = 'general';
+const MAX_MESSAGE_LENGTH = 2000;
+const ROOM_NAME_PATTERN = /^[\w-]{1,32}$/;
+const REACTION_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]{1,16}$/u;
+
+// Returns up to `limit` messages older than `before` (a message id), or newer
+// than `after` when a reconnecting client is catching up
+const paginate = (messages, { before, after, limit } = {}) => {
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || MAX_HISTORY, 1), MAX_HISTORY);
+
+  const afterIndex = after ? messages.findIndex(message => message.id === after) : -1;
+  if (afterIndex !== -1) {
+    const start = afterIndex + 1;
+    const page = messages.slice(start, start + pageSize);
+    return { messages: page, hasMore: start + pageSize < messages.length };
+  }
+
+  const found = before ? messages.findIndex(message => message.id === before) : -1;
+  const end = found === -1 ? messages.length : found;
+  const start = Math.max(0, end - pageSize);
+  return { messages: messages.slice(start, end), hasMore: start > 0 };
+};
+
+// Storage adapters
+// Both adapters expose loadRooms/saveRooms for room metadata and membership,
+// loadUsers/saveUsers for the directory of users who have signed in, and
+// append/update/getMessage/getHistory for per-room message history.
+class MemoryMessageStore {
+  constructor() {
+    this.rooms = [];
+    this.users = [];
+    this.messages = new Map();
+  }
+
+  async loadRooms() {
+    return this.rooms;
+  }
+
+  async saveRooms(rooms) {
+    this.rooms = rooms;
+  }
+
+  async loadUsers() {
+    return this.users;
+  }
+
+  async saveUsers(users) {
+    this.users = users;
+  }
+
+  async append(roomName, message) {
+    if (!this.messages.has(roomName)) {
+      this.messages.set(roomName, []);
+    }
+    this.messages.get(roomName).push(message);
+  }
+
+  async update(roomName, message) {
+    const messages = this.messages.get(roomName) || [];
+    const index = messages.findIndex(existing => existing.id === message.id);
+    if (index !== -1) messages[index] = message;
+  }
+
+  async getMessage(roomName, id) {
+    return (this.messages.get(roomName) || []).find(message => message.id === id) || null;
+  }
+
+  async getHistory(roomName, options) {
+    return paginate(this.messages.get(roomName) || [], options);
+  }
+}
+
+// One JSONL file per room plus rooms.json and users.json. Room histories are read lazily
+// and cached, so only rooms that are actually used are loaded. Edits,
+// deletes and reactions append a new version of the message; the last line
+// for an id wins but the message keeps its original position.
+class FileMessageStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.cache = new Map();
+    this.writes = Promise.resolve();
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  roomFile(roomName) {
+    return path.join(this.directory, `${encodeURIComponent(roomName)}.jsonl`);
+  }
+
+  async loadRoom(roomName) {
+    if (!this.cache.has(roomName)) {
+      const file = this.roomFile(roomName);
+      const content = fs.existsSync(file) ? await fs.promises.readFile(file, 'utf8') : '';
+      const messages = [];
+      const positions = new Map();
+
+      content.split('\n').filter(Boolean).forEach(line => {
+        const message = JSON.parse(line);
+        if (positions.has(message.id)) {
+          messages[positions.get(message.id)] = message;
+        } else {
+          positions.set(message.id, messages.length);
+          messages.push(message);
+        }
+      });
+      this.cache.set(roomName, messages);
+    }
+    return this.cache.get(roomName);
+  }
+
+  async readJSON(name) {
+    const file = path.join(this.directory, name);
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  }
+
+  // Writes are chained so concurrent saves never race on a temp file
+  writeJSON(name, value) {
+    const file = path.join(this.directory, name);
+    this.writes = this.writes.then(async () => {
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(value, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    return this.writes;
+  }
+
+  loadRooms() {
+    return this.readJSON('rooms.json');
+  }
+
+  saveRooms(rooms) {
+    return this.writeJSON('rooms.json', rooms);
+  }
+
+  loadUsers() {
+    return this.readJSON('users.json');
+  }
+
+  saveUsers(users) {
+    return this.writeJSON('users.json', users);
+  }
+
+  async append(roomName, message) {
+    const messages = await this.loadRoom(roomName);
+    messages.push(message);
+    await fs.promises.appendFile(this.roomFile(roomName), JSON.stringify(message) + '\n');
+  }
+
+  async update(roomName, message) {
+    const messages = await this.loadRoom(roomName);
+    const index = messages.findIndex(existing => existing.id === message.id);
+    if (index === -1) return;
+    messages[index] = message;
+    await fs.promises.appendFile(this.roomFile(roomName), JSON.stringify(message) + '\n');
+  }
+
+  async getMessage(roomName, id) {
+    return (await this.loadRoom(roomName)).find(message => message.id === id) || null;
+  }
+
+  async getHistory(roomName, options) {
+    return paginate(await this.loadRoom(roomName), options);
+  }
+}
+
+// Returns the trimmed content, or null unless it is a non-empty string within
+// MAX_MESSAGE_LENGTH. Stored messages are rendered by every client, so
+// nothing else may reach the store.
+const normalizeContent = (content) => {
+  if (typeof content !== 'string') return null;
+  const trimmed = content.trim();
+  return trimmed && trimmed.length <= MAX_MESSAGE_LENGTH ? trimmed : null;
+};
+
+// Direct message rooms are named after both participants' user ids, sorted,
+// so either side resolves to the same room and history
+const directRoomName = (a, b) => `dm:${[a, b].sort().join(':')}`;
 
 class ChatServer {
-  constructor(wss) {
+  constructor(wss, store = new MemoryMessageStore()) {
     this.wss = wss;
+    this.store = store;
+    this.rooms = new Map();
+    // Everyone who has ever signed in, by user id; direct messages can only
+    // go to someone in here
+    this.users = new Map();
+    // Tail of the queued changes for each message, see withMessageLock
+    this.messageLocks = new Map();
+  }
+
+  async init() {
+    const users = await this.store.loadUsers();
+    users.forEach(user => this.users.set(user.id, user));
+
+    const rooms = await this.store.loadRooms();
+    rooms.forEach(room => {
+      this.rooms.set(room.name, { receipts: {}, ...room, members: new Set(room.members) });
+    });
+
+    if (!this.rooms.has(DEFAULT_ROOM)) {
+      this.rooms.set(DEFAULT_ROOM, { name: DEFAULT_ROOM, direct: false, members: new Set(), receipts: {}, createdAt: Date.now() });
+    }
+
     this.setupWebSocketServer();
+    return this;
   }
 
   setupWebSocketServer() {
-    this.wss.on('connection', (ws) => {
-      const userId = uuidv4();
-      ws.userId = userId;
+    this.wss.on('connection', (ws, req) => {
+      // req.user was verified by authenticateUpgrade
+      ws.connectionId = uuidv4();
+      ws.user = req.user;
 
       this.handleNewConnection(ws);
       this.setupMessageHandler(ws);
@@ -38,31 +324,54 @@ class ChatServer {
   handleNewConnection(ws) {
     ws.isAlive = true;
 
-    // Send connection acknowledgment
+    // Send connection acknowledgment; rooms and history follow the join
     ws.send(JSON.stringify({
       type: 'connection_ack',
-      userId: ws.userId,
+      userId: ws.user.id,
+      username: ws.user.username,
       timestamp: Date.now()
     }));
-
-    // Send message history
-    ws.send(JSON.stringify({
-      type: 'history',
-      messages: messageHistory
-    }));
   }
 
   setupMessageHandler(ws) {
-    ws.on('message', (data) => {
+    ws.on('message', async (data) => {
       try {
         const message = JSON.parse(data);
 
         switch (message.type) {
           case 'join':
-            this.handleUserJoin(ws, message);
+            await this.handleUserJoin(ws, message);
+            break;
+          case 'join_room':
+            await this.handleJoinRoom(ws, message);
+            break;
+          case 'leave_room':
+            await this.handleLeaveRoom(ws, message);
+            break;
+          case 'invite':
+            await this.handleInvite(ws, message);
             break;
           case 'chat':
-            this.handleChatMessage(ws, message);
+            await this.handleChatMessage(ws, message);
+            break;
+          case 'direct':
+            await this.handleDirectMessage(ws, message);
+            break;
+          case 'edit':
+            await this.handleEditMessage(ws, message);
+            break;
+          case 'delete':
+            await this.handleDeleteMessage(ws, message);
+            break;
+          case 'react':
+            await this.handleReaction(ws, message);
+            break;
+          case 'delivered':
+          case 'read':
+            await this.handleReceipt(ws, message);
+            break;
+          case 'fetch_history':
+            await this.handleFetchHistory(ws, message);
             break;
           case 'typing':
             this.handleTypingStatus(ws, message);
@@ -79,55 +388,428 @@ class ChatServer {
     });
   }
 
-  handleUserJoin(ws, message) {
+  async handleUserJoin(ws, message) {
+    const { id, username } = ws.user;
     const userData = {
-      id: ws.userId,
-      username: message.username,
+      id,
+      username,
       connection: ws
     };
 
-    activeUsers.set(ws.userId, userData);
+    activeUsers.set(ws.connectionId, userData);
+
+    const known = this.users.get(id);
+    if (!known || known.username !== username) {
+      this.users.set(id, { id, username });
+      await this.store.saveUsers(Array.from(this.users.values()));
+    }
+
+    // Everyone is a member of the default room; other memberships survive
+    // reconnects and restarts because they are keyed by user id
+    const defaultRoom = this.rooms.get(DEFAULT_ROOM);
+    if (!defaultRoom.members.has(id)) {
+      defaultRoom.members.add(id);
+      await this.saveRooms();
+    }
+
+    this.sendRoomList(ws);
+    for (const room of this.getRoomsForUser(id)) {
+      await this.sendHistory(ws, room.name, { after: message.lastSeen && message.lastSeen[room.name] });
+    }
 
     // Broadcast user joined message
     this.broadcast({
       type: 'user_joined',
-      userId: ws.userId,
-      username: message.username,
+      userId: id,
+      username,
       timestamp: Date.now(),
       activeUsers: this.getActiveUsersList()
     });
   }
 
-  handleChatMessage(ws, message) {
-    const user = activeUsers.get(ws.userId);
+  // Joining a room that does not exist yet creates it; private rooms can only
+  // be joined by members, who get there through an invite
+  async handleJoinRoom(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
+    if (!user) return;
+
+    if (!ROOM_NAME_PATTERN.test(message.room || '')) {
+      return this.sendError(ws, 'Room names may only contain letters, numbers, "-" and "_"');
+    }
+
+    let room = this.rooms.get(message.room);
+    if (!room) {
+      room = {
+        name: message.room,
+        direct: false,
+        private: message.private === true,
+        createdBy: user.id,
+        members: new Set(),
+        receipts: {},
+        createdAt: Date.now()
+      };
+      this.rooms.set(room.name, room);
+    } else if ((room.direct || room.private) && !room.members.has(user.id)) {
+      return this.sendError(ws, `#${room.name} is private, ask a member to invite you`);
+    }
+    room.members.add(user.id);
+    await this.saveRooms();
+
+    this.sendRoomList(ws);
+    await this.sendHistory(ws, room.name);
+    this.broadcastToRoom(room.name, {
+      type: 'room_joined',
+      room: room.name,
+      userId: user.id,
+      username: user.username,
+      members: this.describeMembers(room),
+      timestamp: Date.now()
+    });
+  }
+
+  async handleLeaveRoom(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
+    const room = this.rooms.get(message.room);
+    if (!user || !room || room.name === DEFAULT_ROOM) return;
+
+    this.broadcastToRoom(room.name, {
+      type: 'room_left',
+      room: room.name,
+      userId: user.id,
+      username: user.username,
+      timestamp: Date.now()
+    });
+
+    room.members.delete(user.id);
+    delete room.receipts[user.id];
+    await this.saveRooms();
+    this.sendRoomList(ws);
+  }
+
+  // Any member of a private room may invite someone who has signed in before
+  async handleInvite(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
+    const room = this.rooms.get(message.room);
+    if (!user || !room || room.direct || !room.members.has(user.id)) {
+      return this.sendError(ws, `You are not a member of ${message.room}`);
+    }
+    if (typeof message.userId !== 'string' || !this.users.has(message.userId)) {
+      return this.sendError(ws, 'That user does not exist');
+    }
+    if (room.members.has(message.userId)) return;
+
+    room.members.add(message.userId);
+    await this.saveRooms();
+
+    const invitee = this.users.get(message.userId);
+    for (const connection of this.getConnectionsForUser(invitee.id)) {
+      this.sendRoomList(connection);
+      await this.sendHistory(connection, room.name);
+    }
+    this.broadcastToRoom(room.name, {
+      type: 'room_joined',
+      room: room.name,
+      userId: invitee.id,
+      username: invitee.username,
+      members: this.describeMembers(room),
+      timestamp: Date.now()
+    });
+  }
+
+  async handleChatMessage(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
     if (!user) return;
 
+    const roomName = message.room || DEFAULT_ROOM;
+    const room = this.rooms.get(roomName);
+    if (!room || !room.members.has(user.id)) {
+      return this.sendError(ws, `You are not a member of ${roomName}`);
+    }
+
+    const content = normalizeContent(message.content);
+    if (!content) {
+      return this.sendError(ws, `Messages must be text of 1 to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
     const chatMessage = {
       type: 'chat',
       id: uuidv4(),
-      userId: ws.userId,
+      room: roomName,
+      direct: room.direct,
+      userId: user.id,
       username: user.username,
-      content: message.content,
+      content,
+      reactions: {},
       timestamp: Date.now()
     };
 
     // Store message in history
-    messageHistory.push(chatMessage);
-    if (messageHistory.length > MAX_HISTORY) {
-      messageHistory.shift();
-    }
+    await this.store.append(roomName, chatMessage);
 
     // Broadcast message
-    this.broadcast(chatMessage);
+    this.broadcastToRoom(roomName, chatMessage);
+  }
+
+  // `to` is the recipient's user id, and only users who have signed in
+  // before can receive direct messages
+  async handleDirectMessage(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
+    if (!user || message.to === user.id) return;
+    if (typeof message.to !== 'string' || !this.users.has(message.to)) {
+      return this.sendError(ws, 'That user does not exist');
+    }
+
+    const roomName = directRoomName(user.id, message.to);
+    if (!this.rooms.has(roomName)) {
+      this.rooms.set(roomName, {
+        name: roomName,
+        direct: true,
+        members: new Set([user.id, message.to]),
+        receipts: {},
+        createdAt: Date.now()
+      });
+      await this.saveRooms();
+
+      // Let the recipient's open connections know about the new conversation
+      this.getConnectionsForUser(message.to).forEach(connection => this.sendRoomList(connection));
+      this.sendRoomList(ws);
+    }
+
+    await this.handleChatMessage(ws, { ...message, room: roomName });
+  }
+
+  // Resolves the message a client wants to change. Deleted messages can no
+  // longer be edited or reacted to, and ownOnly limits changes to the author,
+  // compared by the authenticated user id rather than the display name.
+  async findMessageForUpdate(ws, message, { ownOnly = false } = {}) {
+    const user = activeUsers.get(ws.connectionId);
+    if (!user) return null;
+
+    const room = this.rooms.get(message.room);
+    if (!room || !room.members.has(user.id)) {
+      this.sendError(ws, `You are not a member of ${message.room}`);
+      return null;
+    }
+
+    const stored = await this.store.getMessage(room.name, message.messageId);
+    if (!stored || stored.deletedAt) {
+      this.sendError(ws, 'Message not found');
+      return null;
+    }
+    if (ownOnly && stored.userId !== user.id) {
+      this.sendError(ws, 'You can only change your own messages');
+      return null;
+    }
+
+    return { user, room, stored };
+  }
+
+  // Edits, deletes and reactions read a message, change it and write it back
+  // across several awaits. Queuing them per message keeps a concurrent change
+  // from being overwritten with the stale copy another handler read.
+  withMessageLock(message, task) {
+    const key = `${message.room}:${message.messageId}`;
+    const previous = this.messageLocks.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+
+    this.messageLocks.set(key, tail);
+    tail.then(() => {
+      if (this.messageLocks.get(key) === tail) this.messageLocks.delete(key);
+    });
+    return run;
+  }
+
+  handleEditMessage(ws, message) {
+    return this.withMessageLock(message, () => this.editMessage(ws, message));
+  }
+
+  handleDeleteMessage(ws, message) {
+    return this.withMessageLock(message, () => this.deleteMessage(ws, message));
+  }
+
+  handleReaction(ws, message) {
+    return this.withMessageLock(message, () => this.toggleReaction(ws, message));
+  }
+
+  async editMessage(ws, message) {
+    const target = await this.findMessageForUpdate(ws, message, { ownOnly: true });
+    if (!target) return;
+
+    const content = normalizeContent(message.content);
+    if (!content) {
+      return this.sendError(ws, `Messages must be text of 1 to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (content === target.stored.content) return;
+
+    const now = Date.now();
+    await this.updateMessage(target.room.name, {
+      ...target.stored,
+      content,
+      editedAt: now,
+      auditTrail: [
+        ...(target.stored.auditTrail || []),
+        { action: 'edit', userId: target.user.id, username: target.user.username, previousContent: target.stored.content, timestamp: now }
+      ]
+    });
+  }
+
+  // Deletes are soft: the content stays in storage for the audit trail but is
+  // never sent to clients again
+  async deleteMessage(ws, message) {
+    const target = await this.findMessageForUpdate(ws, message, { ownOnly: true });
+    if (!target) return;
+
+    const now = Date.now();
+    await this.updateMessage(target.room.name, {
+      ...target.stored,
+      deletedAt: now,
+      deletedBy: target.user.id,
+      auditTrail: [
+        ...(target.stored.auditTrail || []),
+        { action: 'delete', userId: target.user.id, username: target.user.username, previousContent: target.stored.content, timestamp: now }
+      ]
+    });
+  }
+
+  // Reacting with the same emoji twice removes the reaction again
+  async toggleReaction(ws, message) {
+    if (!REACTION_PATTERN.test(message.emoji || '')) {
+      return this.sendError(ws, 'Reactions must be a single emoji');
+    }
+
+    const target = await this.findMessageForUpdate(ws, message);
+    if (!target) return;
+
+    const { id } = target.user;
+    const reactions = { ...target.stored.reactions };
+    const users = reactions[message.emoji] || [];
+
+    if (users.includes(id)) {
+      reactions[message.emoji] = users.filter(userId => userId !== id);
+      if (!reactions[message.emoji].length) delete reactions[message.emoji];
+    } else {
+      reactions[message.emoji] = [...users, id];
+    }
+
+    await this.updateMessage(target.room.name, { ...target.stored, reactions });
+  }
+
+  async updateMessage(roomName, message) {
+    await this.store.update(roomName, message);
+    this.broadcastToRoom(roomName, {
+      type: 'message_updated',
+      room: roomName,
+      message: this.toClientMessage(message)
+    });
+  }
+
+  // Receipts are per-user watermarks for each room: everything up to the
+  // acknowledged message counts as delivered or read. They only move forward.
+  async handleReceipt(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
+    const room = this.rooms.get(message.room);
+    if (!user || !room || !room.members.has(user.id)) return;
+
+    const stored = await this.store.getMessage(room.name, message.messageId);
+    if (!stored) return;
+
+    const receipts = room.receipts[user.id] || {};
+    const marker = { messageId: stored.id, timestamp: stored.timestamp, at: Date.now() };
+
+    // Reading a message implies it was delivered
+    const kinds = message.type === 'read' ? ['delivered', 'read'] : ['delivered'];
+    const advanced = kinds.filter(kind => !receipts[kind] || receipts[kind].timestamp < stored.timestamp);
+    if (!advanced.length) return;
+
+    advanced.forEach(kind => {
+      receipts[kind] = marker;
+    });
+    room.receipts[user.id] = receipts;
+    await this.saveRooms();
+
+    this.broadcastToRoom(room.name, {
+      type: 'receipt',
+      room: room.name,
+      userId: user.id,
+      username: user.username,
+      receipts
+    }, ws);
+  }
+
+  // The audit trail stays on the server and deleted content is blanked out
+  toClientMessage(message) {
+    const { auditTrail, ...visible } = message;
+    return visible.deletedAt ? { ...visible, content: null } : visible;
+  }
+
+  async handleFetchHistory(ws, message) {
+    const user = activeUsers.get(ws.connectionId);
+    const room = this.rooms.get(message.room);
+    if (!user || !room || !room.members.has(user.id)) {
+      return this.sendError(ws, 'Cannot load history for this room');
+    }
+
+    await this.sendHistory(ws, room.name, {
+      before: message.before,
+      after: message.after,
+      limit: message.limit
+    });
+  }
+
+  async sendHistory(ws, roomName, options = {}) {
+    const { messages, hasMore } = await this.store.getHistory(roomName, options);
+
+    ws.send(JSON.stringify({
+      type: 'history',
+      room: roomName,
+      messages: messages.map(message => this.toClientMessage(message)),
+      hasMore,
+      before: options.before || null,
+      after: options.after || null
+    }));
+  }
+
+  sendRoomList(ws) {
+    const user = activeUsers.get(ws.connectionId);
+    if (!user) return;
+
+    ws.send(JSON.stringify({
+      type: 'rooms',
+      rooms: this.getRoomsForUser(user.id).map(room => ({
+        name: room.name,
+        direct: room.direct,
+        private: Boolean(room.private),
+        members: this.describeMembers(room),
+        receipts: room.receipts
+      }))
+    }));
+  }
+
+  // Members are stored by user id; clients also need names to show
+  describeMembers(room) {
+    return Array.from(room.members).map(id => ({
+      id,
+      username: this.users.has(id) ? this.users.get(id).username : id
+    }));
+  }
+
+  sendError(ws, message) {
+    ws.send(JSON.stringify({ type: 'error', message, timestamp: Date.now() }));
   }
 
   handleTypingStatus(ws, message) {
-    const user = activeUsers.get(ws.userId);
+    const user = activeUsers.get(ws.connectionId);
     if (!user) return;
 
-    this.broadcast({
+    const roomName = message.room || DEFAULT_ROOM;
+    const room = this.rooms.get(roomName);
+    if (!room || !room.members.has(user.id)) return;
+
+    this.broadcastToRoom(roomName, {
       type: 'typing',
-      userId: ws.userId,
+      room: roomName,
+      userId: user.id,
       username: user.username,
       isTyping: message.isTyping
     }, ws); // Exclude sender
@@ -135,14 +817,14 @@ class ChatServer {
 
   setupDisconnection(ws) {
     ws.on('close', () => {
-      const user = activeUsers.get(ws.userId);
+      const user = activeUsers.get(ws.connectionId);
       if (user) {
-        activeUsers.delete(ws.userId);
+        activeUsers.delete(ws.connectionId);
 
         // Broadcast user left message
         this.broadcast({
           type: 'user_left',
-          userId: ws.userId,
+          userId: user.id,
           username: user.username,
           timestamp: Date.now(),
           activeUsers: this.getActiveUsersList()
@@ -166,16 +848,44 @@ class ChatServer {
     });
   }
 
+  broadcastToRoom(roomName, message, excludeWs = null) {
+    const room = this.rooms.get(roomName);
+    if (!room) return;
+
+    activeUsers.forEach(({ id, connection }) => {
+      if (connection !== excludeWs && room.members.has(id) && connection.readyState === WebSocket.OPEN) {
+        connection.send(JSON.stringify(message));
+      }
+    });
+  }
+
+  getConnectionsForUser(userId) {
+    return Array.from(activeUsers.values())
+      .filter(user => user.id === userId)
+      .map(user => user.connection);
+  }
+
+  getRoomsForUser(userId) {
+    return Array.from(this.rooms.values()).filter(room => room.members.has(userId));
+  }
+
+  saveRooms() {
+    return this.store.saveRooms(Array.from(this.rooms.values()).map(room => ({
+      ...room,
+      members: Array.from(room.members)
+    })));
+  }
+
+  // One entry per user, however many connections they have open
   getActiveUsersList() {
-    return Array.from(activeUsers.values()).map(user => ({
-      id: user.id,
-      username: user.username
-    }));
+    const users = new Map();
+    activeUsers.forEach(user => users.set(user.id, { id: user.id, username: user.username }));
+    return Array.from(users.values());
   }
 }
 
 // Initialize chat server
-const chatServer = new ChatServer(wss);
+const chatServer = new ChatServer(wss, new FileMessageStore(process.env.CHAT_DATA_DIR || 'chat-data'));
 
 // Heartbeat interval
 const heartbeatInterval = setInterval(() => {
@@ -192,10 +902,15 @@ wss.on('close', () => {
   clearInterval(heartbeatInterval);
 });
 
-// Start server
+// Start server once rooms have been loaded from storage
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+chatServer.init().then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+  });
+}).catch(error => {
+  console.error('Failed to initialize chat storage:', error);
+  process.exit(1);
 });
 
 // Client-side code (public/index.html)
@@ -223,18 +938,51 @@ server.listen(PORT, () => {
             border: 1px solid #ccc;
             padding: 10px;
         }
+        .room-list {
+            float: left;
+            width: 160px;
+            border: 1px solid #ccc;
+            padding: 10px;
+            margin-right: 10px;
+        }
+        .room-list li,
+        .dm-target {
+            cursor: pointer;
+        }
+        .active-room {
+            font-weight: bold;
+        }
         .typing-indicator {
             font-style: italic;
             color: #666;
         }
+        .message-actions button,
+        .reaction {
+            font-size: 0.8em;
+            margin-right: 2px;
+        }
+        .deleted,
+        .receipt {
+            color: #999;
+        }
     </style>
 </head>
 <body>
     <div class="chat-container">
+        <div class="room-list">
+            <h3>Rooms</h3>
+            <ul id="roomList"></ul>
+            <input type="text" id="roomInput" placeholder="Room name">
+            <label><input type="checkbox" id="privateRoomInput"> Private</label>
+            <button id="joinRoomButton">Join</button>
+        </div>
         <div class="user-list" id="userList">
             <h3>Active Users</h3>
             <ul id="activeUsers"></ul>
         </div>
+        <h2 id="roomTitle">#general</h2>
+        <button id="inviteButton" style="display: none">Invite</button>
+        <button id="loadOlderButton" style="display: none">Load older messages</button>
         <div class="messages" id="messages"></div>
         <div class="typing-indicator" id="typingIndicator"></div>
         <input type="text" id="messageInput" placeholder="Type a message...">
@@ -253,15 +1001,21 @@ class ChatClient {
         this.userId = null;
         this.username = null;
         this.typingTimeout = null;
+        this.currentRoom = 'general';
+        this.rooms = new Map();
+        this.activeUsers = [];
+        this.quickReactions = ['👍', '❤️', '😂', '🎉'];
         this.setupWebSocket();
         this.setupEventListeners();
     }
 
     setupWebSocket() {
+        // The chat_token cookie set at login identifies us to the server
         this.ws = new WebSocket(\`ws://\${window.location.host}\`);
         
         this.ws.onopen = () => {
-            this.promptUsername();
+            // On reconnect this only asks for messages we have not seen
+            this.sendJoinMessage();
         };
 
         this.ws.onmessage = (event) => {
@@ -283,22 +1037,64 @@ class ChatClient {
             }
             this.handleTyping();
         });
-    }
 
-    promptUsername() {
-        const username = prompt('Enter your username:');
-        if (username) {
-            this.username = username;
-            this.sendJoinMessage(username);
-        } else {
-            this.promptUsername();
-        }
+        document.getElementById('joinRoomButton').addEventListener('click', () => {
+            const roomInput = document.getElementById('roomInput');
+            const privateInput = document.getElementById('privateRoomInput');
+            const room = roomInput.value.trim();
+            if (room) {
+                // private only matters when this creates the room
+                this.send({ type: 'join_room', room, private: privateInput.checked });
+                this.currentRoom = room;
+                roomInput.value = '';
+                privateInput.checked = false;
+            }
+        });
+
+        document.getElementById('inviteButton').addEventListener('click', () => this.inviteToRoom());
+
+        document.getElementById('loadOlderButton').addEventListener('click', () => {
+            const room = this.getRoom(this.currentRoom);
+            this.send({
+                type: 'fetch_history',
+                room: this.currentRoom,
+                before: room.messages.length ? room.messages[0].id : undefined
+            });
+        });
+
+        // Message buttons are re-rendered often, so clicks are handled here
+        document.getElementById('messages').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, id, emoji } = button.dataset;
+            if (action === 'react') {
+                this.send({ type: 'react', room: this.currentRoom, messageId: id, emoji });
+            } else if (action === 'edit') {
+                this.editMessage(id);
+            } else if (action === 'delete' && confirm('Delete this message?')) {
+                this.send({ type: 'delete', room: this.currentRoom, messageId: id });
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.acknowledge(this.currentRoom);
+            }
+        });
     }
 
-    sendJoinMessage(username) {
+    sendJoinMessage() {
+        const lastSeen = {};
+        this.rooms.forEach((room, name) => {
+            if (room.messages.length) {
+                lastSeen[name] = room.messages[room.messages.length - 1].id;
+            }
+        });
+
         this.send({
             type: 'join',
-            username: username
+            lastSeen
         });
     }
 
@@ -309,12 +1105,58 @@ class ChatClient {
         if (content) {
             this.send({
                 type: 'chat',
+                room: this.currentRoom,
                 content: content
             });
             messageInput.value = '';
         }
     }
 
+    sendDirectMessage(user) {
+        const content = prompt(\`Message to \${user.username}:\`);
+        if (content && content.trim()) {
+            this.send({
+                type: 'direct',
+                to: user.id,
+                content: content.trim()
+            });
+        }
+    }
+
+    // Private rooms are joined by invitation only; invites go to active users
+    inviteToRoom() {
+        const username = prompt(\`Invite to #\${this.currentRoom} (username):\`);
+        if (!username || !username.trim()) return;
+
+        const user = this.activeUsers.find(item => item.username === username.trim());
+        if (!user) {
+            this.displaySystemMessage({ type: 'error', message: \`No active user named \${username.trim()}\`, timestamp: Date.now() });
+            return;
+        }
+        this.send({ type: 'invite', room: this.currentRoom, userId: user.id });
+    }
+
+    editMessage(id) {
+        const message = this.getRoom(this.currentRoom).messages.find(item => item.id === id);
+        if (!message) return;
+
+        const content = prompt('Edit message:', message.content);
+        if (content && content.trim() && content.trim() !== message.content) {
+            this.send({ type: 'edit', room: this.currentRoom, messageId: id, content: content.trim() });
+        }
+    }
+
+    // Acknowledges the newest message from someone else. The server treats it
+    // as a watermark, so everything before it is covered too.
+    acknowledge(name) {
+        const room = this.getRoom(name);
+        const latest = room.messages.slice().reverse().find(message => message.userId !== this.userId);
+        if (!latest) return;
+
+        const isRead = name === this.currentRoom && document.visibilityState === 'visible';
+        this.send({ type: isRead ? 'read' : 'delivered', room: name, messageId: latest.id });
+    }
+
     handleTyping() {
         if (this.typingTimeout) {
             clearTimeout(this.typingTimeout);
@@ -322,12 +1164,14 @@ class ChatClient {
 
         this.send({
             type: 'typing',
+            room: this.currentRoom,
             isTyping: true
         });
 
         this.typingTimeout = setTimeout(() => {
             this.send({
                 type: 'typing',
+                room: this.currentRoom,
                 isTyping: false
             });
         }, 1000);
@@ -337,42 +1181,224 @@ class ChatClient {
         switch (message.type) {
             case 'connection_ack':
                 this.userId = message.userId;
+                this.username = message.username;
+                break;
+            case 'rooms':
+                this.updateRoomList(message.rooms);
                 break;
             case 'chat':
-                this.displayMessage(message);
+                this.getRoom(message.room).messages.push(message);
+                if (message.room === this.currentRoom) {
+                    this.displayMessage(message);
+                } else {
+                    this.markUnread(message.room);
+                }
+                this.acknowledge(message.room);
+                break;
+            case 'message_updated':
+                this.replaceMessage(message.message);
+                break;
+            case 'receipt': {
+                const room = this.getRoom(message.room);
+                room.receipts = { ...room.receipts, [message.userId]: message.receipts };
+                if (message.room === this.currentRoom) {
+                    this.displayMessageHistory(room.messages);
+                }
                 break;
+            }
             case 'user_joined':
             case 'user_left':
                 this.updateUserList(message.activeUsers);
                 this.displaySystemMessage(message);
                 break;
+            case 'room_joined':
+            case 'room_left':
+                if (message.room === this.currentRoom) {
+                    this.displaySystemMessage(message);
+                }
+                break;
             case 'typing':
-                this.updateTypingIndicator(message);
+                if (message.room === this.currentRoom) {
+                    this.updateTypingIndicator(message);
+                }
                 break;
             case 'history':
-                this.displayMessageHistory(message.messages);
+                this.mergeHistory(message);
                 break;
+            case 'error':
+                this.displaySystemMessage(message);
+                break;
+        }
+    }
+
+    getRoom(name) {
+        if (!this.rooms.has(name)) {
+            this.rooms.set(name, { name, direct: false, private: false, members: [], receipts: {}, messages: [], hasMore: false });
+        }
+        return this.rooms.get(name);
+    }
+
+    // Older pages are prepended, catch-up pages after a reconnect are appended
+    mergeHistory({ room: name, messages, hasMore, before, after }) {
+        const room = this.getRoom(name);
+        const known = new Set(room.messages.map(message => message.id));
+        const fresh = messages.filter(message => !known.has(message.id));
+
+        if (after) {
+            room.messages.push(...fresh);
+            if (hasMore && messages.length) {
+                this.send({ type: 'fetch_history', room: name, after: messages[messages.length - 1].id });
+            }
+        } else {
+            room.messages.unshift(...fresh);
+            room.hasMore = hasMore;
         }
+
+        if (name === this.currentRoom) {
+            this.displayMessageHistory(room.messages);
+        }
+        this.acknowledge(name);
+    }
+
+    replaceMessage(updated) {
+        const room = this.getRoom(updated.room);
+        const index = room.messages.findIndex(message => message.id === updated.id);
+        if (index === -1) return;
+
+        room.messages[index] = updated;
+        if (updated.room === this.currentRoom) {
+            this.displayMessageHistory(room.messages);
+        }
+    }
+
+    switchRoom(name) {
+        this.currentRoom = name;
+        const room = this.getRoom(name);
+        room.unread = false;
+        this.displayMessageHistory(room.messages);
+        this.renderRoomList();
+        this.acknowledge(name);
+    }
+
+    markUnread(name) {
+        this.getRoom(name).unread = true;
+        this.renderRoomList();
+    }
+
+    roomLabel(room) {
+        if (!room.direct) return \`#\${room.name}\`;
+        const other = room.members.find(member => member.id !== this.userId);
+        return \`@\${other ? other.username : this.username}\`;
+    }
+
+    memberName(room, userId) {
+        const member = room.members.find(item => item.id === userId);
+        return member ? member.username : userId;
+    }
+
+    updateRoomList(rooms) {
+        const names = new Set(rooms.map(room => room.name));
+        rooms.forEach(({ name, direct, private: isPrivate, members, receipts }) => {
+            Object.assign(this.getRoom(name), { direct, private: isPrivate, members, receipts });
+        });
+        Array.from(this.rooms.keys()).forEach(name => {
+            if (!names.has(name)) this.rooms.delete(name);
+        });
+        if (!this.rooms.has(this.currentRoom)) {
+            this.currentRoom = 'general';
+        }
+        this.renderRoomList();
+    }
+
+    renderRoomList() {
+        const roomList = document.getElementById('roomList');
+        roomList.innerHTML = '';
+
+        this.rooms.forEach(room => {
+            const item = document.createElement('li');
+            item.textContent = this.roomLabel(room) + (room.unread ? ' •' : '');
+            item.className = room.name === this.currentRoom ? 'active-room' : '';
+            item.addEventListener('click', () => this.switchRoom(room.name));
+            roomList.appendChild(item);
+        });
+
+        const current = this.getRoom(this.currentRoom);
+        document.getElementById('roomTitle').textContent = this.roomLabel(current);
+        document.getElementById('loadOlderButton').style.display = current.hasMore ? 'block' : 'none';
+        document.getElementById('inviteButton').style.display = current.private ? 'inline-block' : 'none';
     }
 
     displayMessage(message) {
         const messages = document.getElementById('messages');
         const messageElement = document.createElement('div');
+        const room = this.getRoom(message.room);
+        const isOwn = message.userId === this.userId;
+
+        const content = message.deletedAt
+            ? '<em class="deleted">This message was deleted</em>'
+            : this.escapeHtml(message.content) + (message.editedAt ? ' <small>(edited)</small>' : '');
+
+        const reactions = Object.entries(message.reactions || {}).map(([emoji, users]) => \`
+            <button class="reaction" data-action="react" data-id="\${message.id}" data-emoji="\${emoji}"
+                title="\${this.escapeHtml(users.map(id => this.memberName(room, id)).join(', '))}">\${emoji} \${users.length}</button>
+        \`).join('');
+
+        const actions = message.deletedAt ? '' : \`
+            <span class="message-actions">
+                \${this.quickReactions.map(emoji => \`
+                    <button data-action="react" data-id="\${message.id}" data-emoji="\${emoji}">\${emoji}</button>
+                \`).join('')}
+                \${isOwn ? \`
+                    <button data-action="edit" data-id="\${message.id}">Edit</button>
+                    <button data-action="delete" data-id="\${message.id}">Delete</button>
+                \` : ''}
+            </span>
+        \`;
+
         messageElement.innerHTML = \`
-            <strong>\${message.username}:</strong> 
-            \${this.escapeHtml(message.content)}
+            <strong>\${this.escapeHtml(message.username)}:</strong> 
+            \${content}
             <small>\${new Date(message.timestamp).toLocaleTimeString()}</small>
+            \${isOwn && !message.deletedAt ? \`<small class="receipt">\${this.escapeHtml(this.receiptStatus(message))}</small>\` : ''}
+            <div>\${reactions}\${actions}</div>
         \`;
         messages.appendChild(messageElement);
         messages.scrollTop = messages.scrollHeight;
     }
 
+    // A message counts as delivered or read by a member once their
+    // watermark for the room is at or past it
+    receiptStatus(message) {
+        const room = this.getRoom(message.room);
+        const receipts = room.receipts || {};
+        const others = room.members.filter(member => member.id !== this.userId);
+        const reached = (kind) => others.filter(member => {
+            const marker = receipts[member.id] && receipts[member.id][kind];
+            return marker && marker.timestamp >= message.timestamp;
+        });
+
+        const readBy = reached('read');
+        if (others.length && readBy.length === others.length) return 'Read';
+        if (readBy.length) return \`Read by \${readBy.map(member => member.username).join(', ')}\`;
+        return reached('delivered').length ? 'Delivered' : 'Sent';
+    }
+
     displaySystemMessage(message) {
         const messages = document.getElementById('messages');
         const messageElement = document.createElement('div');
+        const descriptions = {
+            user_joined: 'joined the chat',
+            user_left: 'left the chat',
+            room_joined: \`joined #\${message.room}\`,
+            room_left: \`left #\${message.room}\`
+        };
+        const text = message.type === 'error'
+            ? message.message
+            : \`\${message.username} \${descriptions[message.type]}\`;
+
         messageElement.style.color = '#666';
         messageElement.innerHTML = \`
-            <em>\${message.username} \${message.type === 'user_joined' ? 'joined' : 'left'} the chat</em>
+            <em>\${this.escapeHtml(text)}</em>
             <small>\${new Date(message.timestamp).toLocaleTimeString()}</small>
         \`;
         messages.appendChild(messageElement);
@@ -382,13 +1408,24 @@ class ChatClient {
         const messagesDiv = document.getElementById('messages');
         messagesDiv.innerHTML = '';
         messages.forEach(message => this.displayMessage(message));
+        this.renderRoomList();
     }
 
     updateUserList(users) {
         const userList = document.getElementById('activeUsers');
-        userList.innerHTML = users
-            .map(user => \`<li>\${this.escapeHtml(user.username)}</li>\`)
-            .join('');
+        userList.innerHTML = '';
+        this.activeUsers = users;
+
+        // Clicking another user starts (or continues) a direct conversation
+        users.forEach(user => {
+            const item = document.createElement('li');
+            item.textContent = user.username;
+            if (user.id !== this.userId) {
+                item.className = 'dm-target';
+                item.addEventListener('click', () => this.sendDirectMessage(user));
+            }
+            userList.appendChild(item);
+        });
     }
 
     updateTypingIndicator(message) {
@@ -407,7 +1444,7 @@ class ChatClient {
     }
 
     escapeHtml(unsafe) {
-        return unsafe
+        return String(unsafe)
             .replace(/&/g, "&amp;")
             .replace(/</g, "&lt;")
             .replace(/>/g, "&gt;")
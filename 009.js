@@ -1,3 +1,19 @@
+// Based on the Okabe-Ito palette, which stays distinguishable with colour
+// vision deficiencies. Its orange, sky blue and yellow fall below 3:1 against
+// white, so they are replaced by ochre, purple and olive; every colour here
+// reaches the 3:1 non-text contrast WCAG 1.4.11 asks for.
+const HIGH_CONTRAST_COLORS = ['#0072B2', '#D55E00', '#009E73', '#CC79A7', '#A66F00', '#6A3D9A', '#857A00', '#000000'];
+
+const EXPORT_STYLE_PROPERTIES = ['fill', 'stroke', 'stroke-width', 'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor'];
+
+const escapeCSVField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+let chartCount = 0;
+
 class ResponsiveBarChart {
   constructor(config) {
     this.config = {
@@ -5,11 +21,26 @@ class ResponsiveBarChart {
       margin: { top: 40, right: 20, bottom: 60, left: 60 },
       barColor: '#4682b4',
       hoverColor: '#2e5c84',
+      colors: d3.schemeTableau10,
+      mode: 'grouped',
+      orientation: 'vertical',
       animationDuration: 750,
-      tooltipFormat: d => `${d.category}: ${d.value}`,
+      tooltipFormat: d => this.series.length > 1
+        ? `${d.category} (${d.series}): ${d.value}`
+        : `${d.category}: ${d.value}`,
+      // Plain text read by screen readers; tooltips may contain HTML
+      ariaLabelFormat: d => this.series.length > 1
+        ? `${d.category}, ${d.series}: ${d.value}`
+        : `${d.category}: ${d.value}`,
+      highContrast: window.matchMedia !== undefined && window.matchMedia('(prefers-contrast: more)').matches,
       ...config
     };
 
+    this.id = `bar-chart-${++chartCount}`;
+    this.series = [];
+    this.hiddenSeries = new Set();
+    this.barNodes = [];
+    this.focusIndex = 0;
     this.init();
   }
 
@@ -18,21 +49,29 @@ class ResponsiveBarChart {
     this.setupSvg();
     this.setupScales();
     this.setupAxes();
+    this.setupLegend();
     this.setupTooltip();
+    this.setupDataTable();
   }
 
   setupSvg() {
     this.svg = this.container
       .append('svg')
       .attr('class', 'bar-chart')
+      .attr('role', 'figure')
+      .attr('aria-labelledby', `${this.id}-title`)
       .style('width', '100%')
       .style('height', '100%');
 
+    this.svg.append('desc')
+      .text('Use the arrow keys to move between bars. The same data is available in the table after the chart.');
+
     this.chart = this.svg.append('g')
       .attr('class', 'chart-group');
 
     // Add title
     this.svg.append('text')
+      .attr('id', `${this.id}-title`)
       .attr('class', 'chart-title')
       .attr('text-anchor', 'middle')
       .style('font-size', '16px')
@@ -41,8 +80,10 @@ class ResponsiveBarChart {
   }
 
   setupScales() {
-    this.xScale = d3.scaleBand().padding(0.1);
-    this.yScale = d3.scaleLinear();
+    this.categoryScale = d3.scaleBand().padding(0.1);
+    this.seriesScale = d3.scaleBand().padding(0.05);
+    this.valueScale = d3.scaleLinear();
+    this.colorScale = d3.scaleOrdinal(this.config.colors);
   }
 
   setupAxes() {
@@ -55,20 +96,24 @@ class ResponsiveBarChart {
     // Add axis labels
     this.chart.append('text')
       .attr('class', 'x-axis-label')
-      .style('text-anchor', 'middle')
-      .text(this.config.xAxisLabel || '');
+      .style('text-anchor', 'middle');
 
     this.chart.append('text')
       .attr('class', 'y-axis-label')
       .style('text-anchor', 'middle')
-      .attr('transform', 'rotate(-90)')
-      .text(this.config.yAxisLabel || '');
+      .attr('transform', 'rotate(-90)');
+  }
+
+  setupLegend() {
+    this.legend = this.svg.append('g')
+      .attr('class', 'legend');
   }
 
   setupTooltip() {
     this.tooltip = d3.select('body')
       .append('div')
       .attr('class', 'chart-tooltip')
+      .attr('aria-hidden', 'true')
       .style('position', 'absolute')
       .style('visibility', 'hidden')
       .style('background-color', 'rgba(0,0,0,0.8)')
@@ -78,8 +123,23 @@ class ResponsiveBarChart {
       .style('font-size', '12px');
   }
 
+  // Screen readers get the bound data as a table; it is visually hidden
+  // unless toggleDataTable(true) is called
+  setupDataTable() {
+    this.dataTable = this.container
+      .append('table')
+      .attr('id', `${this.id}-table`)
+      .attr('class', 'chart-data-table sr-only');
+
+    this.dataTable.append('caption');
+    this.dataTable.append('thead').append('tr');
+    this.dataTable.append('tbody');
+  }
+
   updateDimensions() {
     const containerRect = this.container.node().getBoundingClientRect();
+    this.outerWidth = containerRect.width;
+    this.outerHeight = containerRect.height;
     this.width = containerRect.width - this.config.margin.left - this.config.margin.right;
     this.height = containerRect.height - this.config.margin.top - this.config.margin.bottom;
 
@@ -89,10 +149,6 @@ class ResponsiveBarChart {
     this.chart
       .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
 
-    // Update scales
-    this.xScale.rangeRound([0, this.width]);
-    this.yScale.rangeRound([this.height, 0]);
-
     // Update axis labels
     this.chart.select('.x-axis-label')
       .attr('transform', `translate(${this.width/2},${this.height + 40})`);
@@ -105,99 +161,447 @@ class ResponsiveBarChart {
       .attr('transform', `translate(${containerRect.width/2},20)`);
   }
 
-  update(data) {
+  isHorizontal() {
+    return this.config.orientation === 'horizontal';
+  }
+
+  isStacked() {
+    return this.config.mode === 'stacked';
+  }
+
+  // Accepts single-series rows ({ category, value }) as well as multi-series
+  // rows ({ category, values: { [series]: value } }) and lays out one segment
+  // per category and visible series
+  prepareData() {
+    this.rows = this.data.map(d => ({
+      category: d.category,
+      values: d.values || { value: d.value }
+    }));
+
+    this.series = this.config.series ||
+      [...new Set(this.rows.flatMap(row => Object.keys(row.values)))];
+    this.visibleSeries = this.series.filter(series => !this.hiddenSeries.has(series));
+    this.colorScale
+      .domain(this.series)
+      .range(this.config.highContrast ? HIGH_CONTRAST_COLORS : this.config.colors);
+
+    const layers = d3.stack()
+      .keys(this.visibleSeries)
+      .value((row, series) => row.values[series] || 0)
+      .offset(d3.stackOffsetDiverging)(this.rows);
+
+    this.segments = layers.flatMap(layer => layer.map(([y0, y1], index) => ({
+      category: this.rows[index].category,
+      series: layer.key,
+      value: this.rows[index].values[layer.key],
+      y0,
+      y1
+    }))).filter(d => d.value !== undefined && d.value !== null);
+  }
+
+  update(data = this.data, options = {}) {
+    // Mode and orientation changes animate from the current layout
+    Object.assign(this.config, options);
     this.data = data;
+    this.prepareData();
     this.updateDimensions();
     this.updateScales();
     this.updateAxes();
     this.updateBars();
+    this.updateLegend();
+    this.updateDataTable();
+  }
+
+  setMode(mode) {
+    this.update(this.data, { mode });
+  }
+
+  setOrientation(orientation) {
+    this.update(this.data, { orientation });
+  }
+
+  setHighContrast(enabled) {
+    this.update(this.data, { highContrast: enabled });
+  }
+
+  toggleDataTable(visible) {
+    this.dataTable.classed('sr-only', !visible);
+  }
+
+  toggleSeries(series) {
+    if (this.hiddenSeries.has(series)) {
+      this.hiddenSeries.delete(series);
+    } else if (this.visibleSeries.length > 1) {
+      // Keep at least one series on screen
+      this.hiddenSeries.add(series);
+    }
+    this.update(this.data);
   }
 
   updateScales() {
-    this.xScale.domain(this.data.map(d => d.category));
-    this.yScale.domain([0, d3.max(this.data, d => d.value)]);
+    const horizontal = this.isHorizontal();
+
+    this.categoryScale
+      .domain(this.rows.map(d => d.category))
+      .rangeRound(horizontal ? [0, this.height] : [0, this.width]);
+
+    this.seriesScale
+      .domain(this.visibleSeries)
+      .rangeRound([0, this.categoryScale.bandwidth()]);
+
+    const values = this.segments.flatMap(d => this.isStacked() ? [d.y0, d.y1] : [d.value]);
+    this.valueScale
+      .domain([d3.min([0, ...values]), d3.max([0, ...values])])
+      .nice()
+      .rangeRound(horizontal ? [0, this.width] : [this.height, 0]);
   }
 
   updateAxes() {
-    const xAxis = d3.axisBottom(this.xScale);
-    const yAxis = d3.axisLeft(this.yScale);
+    const horizontal = this.isHorizontal();
+    const categoryAxis = horizontal ? d3.axisLeft(this.categoryScale) : d3.axisBottom(this.categoryScale);
+    const valueAxis = horizontal ? d3.axisBottom(this.valueScale) : d3.axisLeft(this.valueScale);
 
+    // Only vertical category labels are rotated to fit long names
     this.xAxis
       .attr('transform', `translate(0,${this.height})`)
       .transition()
       .duration(this.config.animationDuration)
-      .call(xAxis)
+      .call(horizontal ? valueAxis : categoryAxis)
       .selectAll('text')
-      .style('text-anchor', 'end')
-      .attr('dx', '-.8em')
-      .attr('dy', '.15em')
-      .attr('transform', 'rotate(-45)');
+      .style('text-anchor', horizontal ? 'middle' : 'end')
+      .attr('dx', horizontal ? null : '-.8em')
+      .attr('dy', horizontal ? '.71em' : '.15em')
+      .attr('transform', horizontal ? null : 'rotate(-45)');
 
     this.yAxis
       .transition()
       .duration(this.config.animationDuration)
-      .call(yAxis);
+      .call(horizontal ? categoryAxis : valueAxis);
+
+    // xAxisLabel names the categories and yAxisLabel the values, whichever
+    // side they end up on
+    const { xAxisLabel = '', yAxisLabel = '' } = this.config;
+    this.chart.select('.x-axis-label').text(horizontal ? yAxisLabel : xAxisLabel);
+    this.chart.select('.y-axis-label').text(horizontal ? xAxisLabel : yAxisLabel);
+  }
+
+  // Grouped bars share their category band side by side, stacked bars fill
+  // the whole band between their stack offsets
+  barLayout(d) {
+    const stacked = this.isStacked();
+    const position = this.categoryScale(d.category) + (stacked ? 0 : this.seriesScale(d.series));
+    const thickness = stacked ? this.categoryScale.bandwidth() : this.seriesScale.bandwidth();
+    const [start, end] = stacked ? [d.y0, d.y1] : [Math.min(0, d.value), Math.max(0, d.value)];
+    return { position, thickness, start, end };
+  }
+
+  barAttrs(d, collapsed = false) {
+    const { position, thickness, start, end } = this.barLayout(d);
+    const low = this.valueScale(collapsed ? 0 : start);
+    const high = this.valueScale(collapsed ? 0 : end);
+
+    return this.isHorizontal()
+      ? { x: low, y: position, width: high - low, height: thickness }
+      : { x: position, y: high, width: thickness, height: low - high };
+  }
+
+  applyBarAttrs(selection, collapsed = false) {
+    return selection
+      .attr('x', d => this.barAttrs(d, collapsed).x)
+      .attr('y', d => this.barAttrs(d, collapsed).y)
+      .attr('width', d => this.barAttrs(d, collapsed).width)
+      .attr('height', d => this.barAttrs(d, collapsed).height);
+  }
+
+  barFill(d) {
+    if (this.series.length > 1) return this.colorScale(d.series);
+    return this.config.highContrast ? HIGH_CONTRAST_COLORS[0] : this.config.barColor;
+  }
+
+  hoverFill(d) {
+    return this.series.length > 1 ? d3.color(this.barFill(d)).darker(0.7) : this.config.hoverColor;
   }
 
   updateBars() {
+    this.svg.classed('high-contrast', this.config.highContrast);
+
     // Data join
     const bars = this.chart.selectAll('.bar')
-      .data(this.data, d => d.category);
+      .data(this.segments, d => `${d.category}\u0000${d.series}`);
 
-    // Exit
-    bars.exit()
+    // Exit: collapse onto the baseline along the value axis
+    const baseline = this.valueScale(0);
+    const exiting = bars.exit()
+      .attr('tabindex', null)
+      .attr('aria-hidden', 'true')
       .transition()
-      .duration(this.config.animationDuration)
-      .attr('y', this.height)
-      .attr('height', 0)
-      .remove();
+      .duration(this.config.animationDuration);
+
+    if (this.isHorizontal()) {
+      exiting.attr('x', baseline).attr('width', 0);
+    } else {
+      exiting.attr('y', baseline).attr('height', 0);
+    }
+    exiting.remove();
 
-    // Enter
-    const barsEnter = bars.enter()
+    // Enter: grow out of the baseline
+    const barsEnter = this.applyBarAttrs(bars.enter()
       .append('rect')
-      .attr('class', 'bar')
-      .attr('y', this.height)
-      .attr('height', 0);
+      .attr('class', 'bar'), true);
 
     // Update + Enter
-    bars.merge(barsEnter)
-      .style('fill', this.config.barColor)
-      .attr('x', d => this.xScale(d.category))
-      .attr('width', this.xScale.bandwidth())
+    const merged = bars.merge(barsEnter)
+      .attr('role', 'img')
+      .attr('aria-label', d => this.config.ariaLabelFormat(d))
+      .style('fill', d => this.barFill(d));
+
+    this.applyBarAttrs(merged
       .transition()
-      .duration(this.config.animationDuration)
-      .attr('y', d => this.yScale(d.value))
-      .attr('height', d => this.height - this.yScale(d.value));
+      .duration(this.config.animationDuration));
+
+    // DOM order is reading order (category first, then series), which is
+    // also the order the arrow keys move in
+    const categories = this.categoryScale.domain();
+    this.barNodes = merged.sort((a, b) => {
+      return categories.indexOf(a.category) - categories.indexOf(b.category) ||
+        this.visibleSeries.indexOf(a.series) - this.visibleSeries.indexOf(b.series);
+    }).nodes();
+    this.updateTabStops(Math.min(this.focusIndex, this.barNodes.length - 1));
 
     // Add hover effects and tooltips
-    this.addInteractivity(bars.merge(barsEnter));
+    this.addInteractivity(merged);
+  }
+
+  // Roving tabindex: the chart is a single Tab stop and the arrow keys move
+  // focus between bars
+  updateTabStops(index) {
+    this.focusIndex = Math.max(index, 0);
+    this.barNodes.forEach((node, i) => {
+      node.setAttribute('tabindex', i === this.focusIndex ? '0' : '-1');
+    });
+  }
+
+  handleBarKeydown(event) {
+    const steps = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    let index = this.barNodes.indexOf(event.currentTarget);
+
+    if (event.key in steps) {
+      index = Math.min(Math.max(index + steps[event.key], 0), this.barNodes.length - 1);
+    } else if (event.key === 'Home') {
+      index = 0;
+    } else if (event.key === 'End') {
+      index = this.barNodes.length - 1;
+    } else if (event.key === 'Escape') {
+      this.tooltip.style('visibility', 'hidden');
+      return;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    this.updateTabStops(index);
+    this.barNodes[index].focus();
+  }
+
+  updateDataTable() {
+    this.dataTable.select('caption').text(this.config.title || '');
+
+    const headers = this.dataTable.select('thead tr')
+      .selectAll('th')
+      .data([this.config.xAxisLabel || 'Category', ...this.series]);
+
+    headers.exit().remove();
+    headers.enter()
+      .append('th')
+      .attr('scope', 'col')
+      .merge(headers)
+      .text(d => d);
+
+    const body = this.dataTable.select('tbody');
+    body.selectAll('tr').remove();
+
+    this.rows.forEach(row => {
+      const tr = body.append('tr');
+      tr.append('th').attr('scope', 'row').text(row.category);
+      this.series.forEach(series => {
+        const value = row.values[series];
+        tr.append('td').text(value === undefined || value === null ? '' : value);
+      });
+    });
+  }
+
+  updateLegend() {
+    const items = this.legend.selectAll('.legend-item')
+      .data(this.series.length > 1 ? this.series : [], d => d);
+
+    items.exit().remove();
+
+    const itemsEnter = items.enter()
+      .append('g')
+      .attr('class', 'legend-item')
+      .attr('role', 'button')
+      .attr('tabindex', 0)
+      .style('cursor', 'pointer')
+      .on('click', (event, series) => this.toggleSeries(series))
+      .on('keydown', (event, series) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this.toggleSeries(series);
+        }
+      });
+
+    itemsEnter.append('rect')
+      .attr('width', 12)
+      .attr('height', 12);
+
+    itemsEnter.append('text')
+      .attr('x', 16)
+      .attr('y', 10)
+      .style('font-size', '12px');
+
+    const merged = items.merge(itemsEnter)
+      .attr('aria-pressed', d => String(!this.hiddenSeries.has(d)))
+      .style('opacity', d => this.hiddenSeries.has(d) ? 0.4 : 1);
+
+    merged.select('rect').style('fill', d => this.colorScale(d));
+    merged.select('text').text(d => d);
+
+    // Lay items out in a row using their rendered widths, right-aligned above
+    // the plot area
+    let offset = 0;
+    merged.attr('transform', function() {
+      const x = offset;
+      offset += this.getBBox().width + 16;
+      return `translate(${x},0)`;
+    });
+
+    this.legend.attr('transform',
+      `translate(${this.outerWidth - this.config.margin.right - offset},${this.config.margin.top - 16})`);
   }
 
   addInteractivity(bars) {
     bars
-      .on('mouseover', (event, d) => {
-        d3.select(event.currentTarget)
-          .transition()
-          .duration(200)
-          .style('fill', this.config.hoverColor);
-
-        this.tooltip
-          .style('visibility', 'visible')
-          .html(this.config.tooltipFormat(d));
-      })
-      .on('mousemove', (event) => {
-        this.tooltip
-          .style('top', (event.pageY - 10) + 'px')
-          .style('left', (event.pageX + 10) + 'px');
+      .on('mouseover', (event, d) => this.highlightBar(event.currentTarget, d))
+      .on('mousemove', (event) => this.moveTooltip(event.pageX, event.pageY))
+      .on('mouseout', (event, d) => this.unhighlightBar(event.currentTarget, d))
+      .on('focus', (event, d) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        this.updateTabStops(this.barNodes.indexOf(event.currentTarget));
+        this.highlightBar(event.currentTarget, d);
+        this.moveTooltip(rect.right + window.scrollX, rect.top + window.scrollY);
       })
-      .on('mouseout', (event) => {
-        d3.select(event.currentTarget)
-          .transition()
-          .duration(200)
-          .style('fill', this.config.barColor);
+      .on('blur', (event, d) => this.unhighlightBar(event.currentTarget, d))
+      .on('keydown', (event) => this.handleBarKeydown(event));
+  }
+
+  // Hover transitions are named so they never interrupt an update
+  highlightBar(node, d) {
+    d3.select(node)
+      .transition('hover')
+      .duration(200)
+      .style('fill', this.hoverFill(d));
+
+    this.tooltip
+      .style('visibility', 'visible')
+      .html(this.config.tooltipFormat(d));
+  }
 
-        this.tooltip.style('visibility', 'hidden');
+  unhighlightBar(node, d) {
+    d3.select(node)
+      .transition('hover')
+      .duration(200)
+      .style('fill', this.barFill(d));
+
+    this.tooltip.style('visibility', 'hidden');
+  }
+
+  moveTooltip(x, y) {
+    this.tooltip
+      .style('top', (y - 10) + 'px')
+      .style('left', (x + 10) + 'px');
+  }
+
+  // Stylesheet rules do not travel with a serialized SVG, so the computed
+  // styles that affect rendering are inlined into a copy of the chart
+  toSVGString() {
+    const source = this.svg.node();
+    const copy = source.cloneNode(true);
+    const sourceElements = source.querySelectorAll('*');
+
+    copy.querySelectorAll('*').forEach((element, index) => {
+      const computed = window.getComputedStyle(sourceElements[index]);
+      EXPORT_STYLE_PROPERTIES.forEach(property => {
+        element.style.setProperty(property, computed.getPropertyValue(property));
       });
+    });
+
+    copy.setAttribute('width', this.outerWidth);
+    copy.setAttribute('height', this.outerHeight);
+    copy.style.removeProperty('width');
+    copy.style.removeProperty('height');
+
+    return new XMLSerializer().serializeToString(copy);
+  }
+
+  // One row per category and one column per series, hidden series included
+  toCSV() {
+    const header = [this.config.xAxisLabel || 'category', ...this.series];
+    const rows = this.rows.map(row => [row.category, ...this.series.map(series => row.values[series])]);
+
+    return [header, ...rows]
+      .map(fields => fields.map(escapeCSVField).join(','))
+      .join('\r\n');
+  }
+
+  exportSVG(filename = 'chart.svg') {
+    this.download(new Blob([this.toSVGString()], { type: 'image/svg+xml' }), filename);
+  }
+
+  exportCSV(filename = 'chart.csv') {
+    this.download(new Blob([this.toCSV()], { type: 'text/csv' }), filename);
+  }
+
+  exportPNG(filename = 'chart.png', scale = 2) {
+    const url = URL.createObjectURL(new Blob([this.toSVGString()], { type: 'image/svg+xml' }));
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.outerWidth * scale;
+        canvas.height = this.outerHeight * scale;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+
+        canvas.toBlob(blob => {
+          this.download(blob, filename);
+          resolve(blob);
+        }, 'image/png');
+      };
+
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to render chart as PNG'));
+      };
+
+      image.src = url;
+    });
+  }
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 }
 
@@ -236,6 +640,43 @@ setTimeout(() => {
   chart.update(newData);
 }, 3000);
 
+// Multi-series example: categories compared across periods
+const periodData = [
+  { category: 'North', values: { 2022: 12, 2023: 18, 2024: 21 } },
+  { category: 'South', values: { 2022: 9, 2023: 11, 2024: 16 } },
+  { category: 'East', values: { 2022: 15, 2023: 14, 2024: 19 } },
+  { category: 'West', values: { 2022: 7, 2023: 12, 2024: 13 } }
+];
+
+const periodChart = new ResponsiveBarChart({
+  container: '#period-chart',
+  title: 'Revenue by Region',
+  xAxisLabel: 'Region',
+  yAxisLabel: 'Revenue (M)',
+  mode: 'grouped'
+});
+
+periodChart.update(periodData);
+
+window.addEventListener('resize', () => {
+  periodChart.update();
+});
+
+// Animate from grouped to stacked bars, then lay them out horizontally
+setTimeout(() => periodChart.setMode('stacked'), 3000);
+setTimeout(() => periodChart.setOrientation('horizontal'), 6000);
+
+// Export and accessibility controls
+document.getElementById('export-svg').addEventListener('click', () => periodChart.exportSVG('revenue.svg'));
+document.getElementById('export-png').addEventListener('click', () => periodChart.exportPNG('revenue.png'));
+document.getElementById('export-csv').addEventListener('click', () => periodChart.exportCSV('revenue.csv'));
+document.getElementById('high-contrast').addEventListener('change', (event) => {
+  periodChart.setHighContrast(event.target.checked);
+});
+document.getElementById('show-table').addEventListener('change', (event) => {
+  periodChart.toggleDataTable(event.target.checked);
+});
+
 // CSS styles
 `
 .chart-tooltip {
@@ -269,9 +710,62 @@ setTimeout(() => {
   font-size: 16px;
   fill: #333;
 }
+
+.legend-item text {
+  fill: #333;
+  user-select: none;
+}
+
+.bar:focus,
+.legend-item:focus {
+  outline: none;
+}
+
+.bar:focus-visible {
+  stroke: #000;
+  stroke-width: 3px;
+}
+
+.legend-item:focus-visible rect {
+  stroke: #000;
+  stroke-width: 2px;
+}
+
+.bar-chart.high-contrast .bar {
+  stroke: #000;
+  stroke-width: 1px;
+}
+
+.bar-chart.high-contrast .x-axis path,
+.bar-chart.high-contrast .y-axis path,
+.bar-chart.high-contrast .x-axis line,
+.bar-chart.high-contrast .y-axis line {
+  stroke: #000;
+}
+
+.bar-chart.high-contrast text {
+  fill: #000;
+}
+
+.chart-data-table.sr-only {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+  white-space: nowrap;
+}
 `
 
 // HTML container
 `
 <div id="chart" style="width: 100%; height: 500px;"></div>
+<div id="period-chart" style="width: 100%; height: 500px;"></div>
+<div class="chart-controls">
+  <button id="export-svg">Export SVG</button>
+  <button id="export-png">Export PNG</button>
+  <button id="export-csv">Export CSV</button>
+  <label><input type="checkbox" id="high-contrast"> High contrast</label>
+  <label><input type="checkbox" id="show-table"> Show data table</label>
+</div>
 `
\ No newline at end of file
@@ -1,4 +1,22 @@
+// Events that can fire many times per frame. They are coalesced so that
+// subscribers run at most once per animation frame, with the latest event.
+const FRAME_EVENTS = new Set(['scroll', 'resize']);
+
 class EventController {
+  /**
+   * Creates an event bus. Subscribers share one native listener per target,
+   * event type and passive flag, and can be removed by namespace.
+   * @param {Object} options - Bus options
+   * @param {EventTarget|null} options.target - Default target for subscriptions
+   */
+  constructor(options = {}) {
+    this.defaultTarget = 'target' in options ? options.target : window;
+    this.subscriptions = [];
+    this.listeners = [];
+    this.pendingFrame = new Map();
+    this.frameId = null;
+  }
+
   /**
    * Creates a debounced version of a function
    * @param {Function} func - The function to debounce
@@ -132,34 +150,197 @@ class EventController {
       maxWait: wait
     });
   }
+
+  /**
+   * Splits 'type.namespace' strings; either part may be empty
+   * @param {string} event - Event string, e.g. 'scroll.header' or '.header'
+   * @returns {Object} - { type, namespaces }
+   */
+  static parseEvent(event) {
+    const [type, ...namespaces] = event.split('.');
+    return { type, namespaces: namespaces.filter(Boolean) };
+  }
+
+  /**
+   * Subscribes a handler to an event
+   * @param {string} event - Event type with optional namespaces, e.g. 'scroll.header'
+   * @param {Function} handler - Called with the event
+   * @param {Object} options - Subscription options
+   * @param {EventTarget|null} options.target - DOM target, or null for bus-only events
+   * @param {boolean} options.passive - Register a passive native listener (default true)
+   * @param {number} options.debounce - Debounce the handler by this many milliseconds
+   * @param {number} options.throttle - Throttle the handler to this interval
+   * @param {boolean} options.once - Remove the subscription after its first call
+   * @returns {Function} - Removes this subscription
+   */
+  on(event, handler, options = {}) {
+    const { type, namespaces } = EventController.parseEvent(event);
+    const target = 'target' in options ? options.target : this.defaultTarget;
+
+    let callback = handler;
+    if (options.debounce) {
+      callback = EventController.debounce(handler, options.debounce);
+    } else if (options.throttle) {
+      callback = EventController.throttle(handler, options.throttle);
+    }
+
+    const subscription = {
+      type,
+      namespaces,
+      handler,
+      callback,
+      target,
+      passive: options.passive !== false,
+      once: !!options.once
+    };
+
+    this.subscriptions.push(subscription);
+    if (target) {
+      this.attach(target, type, subscription.passive);
+    }
+
+    return () => this.removeSubscriptions([subscription]);
+  }
+
+  /**
+   * Removes every subscription matching the event type and namespaces
+   * @param {string} event - 'type', 'type.namespace' or '.namespace'
+   * @param {Function} handler - Only remove subscriptions of this handler
+   */
+  off(event, handler) {
+    this.removeSubscriptions(this.match(event).filter(subscription => {
+      return !handler || subscription.handler === handler;
+    }));
+  }
+
+  /**
+   * Calls every matching subscriber, whether or not it is bound to a DOM target
+   * @param {string} event - Event type with optional namespaces
+   * @param {*} detail - Passed to handlers as event.detail
+   */
+  emit(event, detail) {
+    const { type } = EventController.parseEvent(event);
+    this.dispatch(this.match(event), { type, detail });
+  }
+
+  /**
+   * Removes all subscriptions and native listeners and cancels pending frames
+   * and debounced calls
+   */
+  destroy() {
+    this.removeSubscriptions([...this.subscriptions]);
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.pendingFrame.clear();
+  }
+
+  match(event) {
+    const { type, namespaces } = EventController.parseEvent(event);
+    return this.subscriptions.filter(subscription => {
+      return (!type || subscription.type === type) &&
+        namespaces.every(namespace => subscription.namespaces.includes(namespace));
+    });
+  }
+
+  attach(target, type, passive) {
+    const exists = this.listeners.some(record => {
+      return record.target === target && record.type === type && record.passive === passive;
+    });
+    if (exists) return;
+
+    const record = { target, type, passive };
+    record.listener = (event) => {
+      if (FRAME_EVENTS.has(type)) {
+        this.scheduleFrame(record, event);
+      } else {
+        this.dispatch(this.subscribersFor(record), event);
+      }
+    };
+
+    target.addEventListener(type, record.listener, { passive });
+    this.listeners.push(record);
+  }
+
+  subscribersFor(record) {
+    return this.subscriptions.filter(subscription => {
+      return subscription.target === record.target &&
+        subscription.type === record.type &&
+        subscription.passive === record.passive;
+    });
+  }
+
+  // All frame events share a single requestAnimationFrame tick, and each
+  // listener only keeps the latest event seen before it
+  scheduleFrame(record, event) {
+    this.pendingFrame.set(record, event);
+    if (this.frameId === null) {
+      this.frameId = requestAnimationFrame(() => this.flushFrame());
+    }
+  }
+
+  flushFrame() {
+    const pending = Array.from(this.pendingFrame);
+    this.frameId = null;
+    this.pendingFrame.clear();
+
+    pending.forEach(([record, event]) => {
+      this.dispatch(this.subscribersFor(record), event);
+    });
+  }
+
+  dispatch(subscriptions, event) {
+    subscriptions.forEach(subscription => {
+      // An earlier handler may have unsubscribed this one
+      if (!this.subscriptions.includes(subscription)) return;
+
+      if (subscription.once) {
+        this.removeSubscriptions([subscription]);
+        subscription.handler(event);
+      } else {
+        subscription.callback(event);
+      }
+    });
+  }
+
+  removeSubscriptions(subscriptions) {
+    subscriptions.forEach(subscription => {
+      if (subscription.callback.cancel) {
+        subscription.callback.cancel();
+      }
+    });
+    this.subscriptions = this.subscriptions.filter(subscription => !subscriptions.includes(subscription));
+
+    // Native listeners go away with their last subscriber
+    this.listeners = this.listeners.filter(record => {
+      if (this.subscribersFor(record).length) return true;
+      record.target.removeEventListener(record.type, record.listener, { passive: record.passive });
+      this.pendingFrame.delete(record);
+      return false;
+    });
+  }
 }
 
-// Example usage:
+// Example usage: handlers subscribe through a shared EventController under
+// their own namespace
 class ScrollHandler {
-  constructor() {
-    // Debounced scroll handler
-    this.debouncedScroll = EventController.debounce(
-      this.handleScroll.bind(this),
-      250,
-      { leading: true, trailing: true }
-    );
-
-    // Throttled scroll handler
-    this.throttledScroll = EventController.throttle(
-      this.handleScroll.bind(this),
-      250
-    );
+  constructor(events) {
+    this.events = events;
 
     // Bind event listeners
     this.bindEvents();
   }
 
   bindEvents() {
-    // Using debounced handler
-    window.addEventListener('scroll', this.debouncedScroll);
+    // Scroll events already arrive at most once per frame; debounce or
+    // throttle on top of that when the handler is expensive
+    this.events.on('scroll.scrollHandler', this.handleScroll.bind(this), {
+      debounce: 250
+    });
 
     // Using throttled handler
-    // window.addEventListener('scroll', this.throttledScroll);
+    // this.events.on('scroll.scrollHandler', this.handleScroll.bind(this), { throttle: 250 });
   }
 
   handleScroll(event) {
@@ -168,26 +349,22 @@ class ScrollHandler {
   }
 
   destroy() {
-    // Clean up
-    window.removeEventListener('scroll', this.debouncedScroll);
-    this.debouncedScroll.cancel();
-    // window.removeEventListener('scroll', this.throttledScroll);
-    // this.throttledScroll.cancel();
+    // Removes the listener and cancels any pending debounced call
+    this.events.off('.scrollHandler');
   }
 }
 
 // Example with resize handler
 class ResizeHandler {
-  constructor() {
-    this.debouncedResize = EventController.debounce(
-      this.handleResize.bind(this),
-      250
-    );
+  constructor(events) {
+    this.events = events;
     this.bindEvents();
   }
 
   bindEvents() {
-    window.addEventListener('resize', this.debouncedResize);
+    this.events.on('resize.resizeHandler', this.handleResize.bind(this), {
+      debounce: 250
+    });
   }
 
   handleResize(event) {
@@ -199,66 +376,311 @@ class ResizeHandler {
   }
 
   destroy() {
-    window.removeEventListener('resize', this.debouncedResize);
-    this.debouncedResize.cancel();
+    this.events.off('.resizeHandler');
   }
 }
 
-// Example with input handler
+/**
+ * Least-recently-used cache built on Map insertion order
+ */
+class LRUCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries to keep
+   */
+  constructor(maxSize = 50) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns a cached value and marks it as most recently used
+   * @param {*} key - Cache key
+   * @returns {*} - The cached value, or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entry when full
+   * @param {*} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Example with input handler, implemented as an ARIA 1.2 combobox
 class SearchHandler {
-  constructor() {
-    this.searchInput = document.querySelector('#search-input');
-    this.debouncedSearch = EventController.debounce(
-      this.handleSearch.bind(this),
-      300
-    );
+  constructor(events, options = {}) {
+    this.events = events;
+    this.options = {
+      input: '#search-input',
+      namespace: 'searchHandler',
+      cacheSize: 50,
+      onSelect: result => console.log('Selected:', result),
+      ...options
+    };
+
+    this.searchInput = document.querySelector(this.options.input);
+    this.cache = new LRUCache(this.options.cacheSize);
+    this.controller = null;
+    this.results = [];
+    this.activeIndex = -1;
+
+    this.setupCombobox();
     this.bindEvents();
   }
 
+  setupCombobox() {
+    const listId = `${this.searchInput.id || 'search'}-listbox`;
+
+    this.listbox = document.getElementById(listId) || document.createElement('ul');
+    this.listbox.id = listId;
+    this.listbox.setAttribute('role', 'listbox');
+    this.listbox.hidden = true;
+    if (!this.listbox.parentNode) {
+      this.searchInput.insertAdjacentElement('afterend', this.listbox);
+    }
+
+    this.searchInput.setAttribute('role', 'combobox');
+    this.searchInput.setAttribute('aria-autocomplete', 'list');
+    this.searchInput.setAttribute('aria-controls', listId);
+    this.searchInput.setAttribute('aria-expanded', 'false');
+    this.searchInput.setAttribute('autocomplete', 'off');
+  }
+
   bindEvents() {
-    this.searchInput.addEventListener('input', this.debouncedSearch);
+    const { namespace } = this.options;
+
+    this.events.on(`input.${namespace}`, this.handleSearch.bind(this), {
+      target: this.searchInput,
+      debounce: 300
+    });
+
+    // These handlers call preventDefault, which passive listeners ignore
+    this.events.on(`keydown.${namespace}`, this.handleKeydown.bind(this), {
+      target: this.searchInput,
+      passive: false
+    });
+    this.events.on(`mousedown.${namespace}`, this.handleOptionMousedown.bind(this), {
+      target: this.listbox,
+      passive: false
+    });
   }
 
   async handleSearch(event) {
-    const query = event.target.value;
+    const query = event.target.value.trim();
+    const key = query.toLowerCase();
+
+    // Whatever is in flight is now stale, even if the new query is cached
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+
+    if (!query) {
+      this.updateResults([], query);
+      return;
+    }
+
+    if (this.cache.has(key)) {
+      this.updateResults(this.cache.get(key), query);
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controller = controller;
+
     try {
-      const results = await this.performSearch(query);
-      this.updateResults(results);
+      const results = await this.performSearch(query, controller.signal);
+      this.cache.set(key, results);
+      this.updateResults(results, query);
     } catch (error) {
-      console.error('Search error:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Search error:', error);
+      }
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+      }
     }
   }
 
-  async performSearch(query) {
-    // Simulate API call
-    return new Promise(resolve => {
-      setTimeout(() => {
-        resolve([`Result for: ${query}`]);
+  async performSearch(query, signal) {
+    // Simulate API call; a real request would pass the signal to fetch()
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        resolve([
+          `Result for: ${query}`,
+          `More about ${query}`,
+          `${query} documentation`
+        ]);
       }, 100);
+
+      signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('Search aborted', 'AbortError'));
+      }, { once: true });
     });
   }
 
-  updateResults(results) {
-    console.log('Search results:', results);
-    // Update UI with results
+  updateResults(results, query = '') {
+    this.results = results;
+    this.activeIndex = -1;
+    this.listbox.innerHTML = '';
+
+    results.forEach((result, index) => {
+      const option = document.createElement('li');
+      option.id = `${this.listbox.id}-option-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.index = index;
+      option.appendChild(this.highlightMatches(result, query));
+      this.listbox.appendChild(option);
+    });
+
+    this.setExpanded(results.length > 0);
+  }
+
+  // Wraps every occurrence of the query's terms in <mark>. Built from text
+  // nodes so result strings are never parsed as HTML.
+  highlightMatches(text, query) {
+    const fragment = document.createDocumentFragment();
+    const terms = query.split(/\s+/).filter(Boolean)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (!terms.length) {
+      fragment.appendChild(document.createTextNode(text));
+      return fragment;
+    }
+
+    // Splitting on a capturing group keeps the matches at odd indexes
+    text.split(new RegExp(`(${terms.join('|')})`, 'gi')).forEach((part, index) => {
+      if (!part) return;
+      if (index % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(part));
+      }
+    });
+
+    return fragment;
+  }
+
+  handleKeydown(event) {
+    const isOpen = !this.listbox.hidden;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen && this.results.length) this.setExpanded(true);
+        this.setActiveIndex(this.activeIndex + 1 >= this.results.length ? 0 : this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (!isOpen && this.results.length) this.setExpanded(true);
+        this.setActiveIndex(this.activeIndex <= 0 ? this.results.length - 1 : this.activeIndex - 1);
+        break;
+      case 'Enter':
+        if (isOpen && this.activeIndex !== -1) {
+          event.preventDefault();
+          this.selectResult(this.activeIndex);
+        }
+        break;
+      case 'Escape':
+        // First Escape closes the list, a second one clears the input
+        if (isOpen) {
+          this.setExpanded(false);
+        } else {
+          this.searchInput.value = '';
+          this.updateResults([]);
+        }
+        break;
+    }
+  }
+
+  handleOptionMousedown(event) {
+    const option = event.target.closest('[role="option"]');
+    if (!option) return;
+
+    // Keep focus in the input
+    event.preventDefault();
+    this.selectResult(Number(option.dataset.index));
+  }
+
+  setActiveIndex(index) {
+    const options = this.listbox.querySelectorAll('[role="option"]');
+    if (!options.length) return;
+
+    this.activeIndex = index;
+    options.forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === index));
+    });
+
+    const active = options[index];
+    this.searchInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  }
+
+  setExpanded(expanded) {
+    this.listbox.hidden = !expanded;
+    this.searchInput.setAttribute('aria-expanded', String(expanded));
+    if (!expanded) {
+      this.searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  selectResult(index) {
+    const result = this.results[index];
+    if (result === undefined) return;
+
+    this.searchInput.value = result;
+    this.setExpanded(false);
+    this.options.onSelect(result);
   }
 
   destroy() {
-    this.searchInput.removeEventListener('input', this.debouncedSearch);
-    this.debouncedSearch.cancel();
+    this.events.off(`.${this.options.namespace}`);
+    if (this.controller) {
+      this.controller.abort();
+    }
   }
 }
 
 // Usage examples:
-const scrollHandler = new ScrollHandler();
-const resizeHandler = new ResizeHandler();
-const searchHandler = new SearchHandler();
+const events = new EventController();
+const scrollHandler = new ScrollHandler(events);
+const resizeHandler = new ResizeHandler(events);
+const searchHandler = new SearchHandler(events);
 
-// Clean up when needed
+// Clean up a single handler when needed
 // scrollHandler.destroy();
 // resizeHandler.destroy();
 // searchHandler.destroy();
 
+// Or tear down every subscription at once
+// events.destroy();
+
 // Simple usage examples:
 const debouncedFn = EventController.debounce(() => {
   console.log('Debounced function called');
@@ -269,5 +691,9 @@ const throttledFn = EventController.throttle(() => {
 }, 1000);
 
 // Test the functions
-window.addEventListener('scroll', debouncedFn);
-window.addEventListener('scroll', throttledFn);
\ No newline at end of file
+events.on('scroll.demo', debouncedFn);
+events.on('scroll.demo', throttledFn);
+
+// Bus-only events have no DOM target and are triggered with emit
+events.on('refresh.demo', event => console.log('Refresh requested:', event.detail), { target: null });
+events.emit('refresh', { reason: 'manual' });
\ No newline at end of file
@@ -115,7 +115,11 @@ class EventRegistration {
 
   handleRegistrationSuccess(response) {
     // Show success message
-    this.showMessage('success', 'Registration successful! Check your email for confirmation.');
+    if (response.status === 'waitlisted') {
+      this.showMessage('success', `This event is full. You are number ${response.waitlistPosition} on the waitlist and will be registered automatically if a seat opens up.`);
+    } else {
+      this.showMessage('success', 'Registration successful! Check your email for confirmation.');
+    }
     this.form.reset();
   }
 
@@ -135,7 +139,129 @@ class EventRegistration {
   }
 }
 
+// Self-service page behind the link in registration emails. The token comes
+// from the query string and every change goes through the manage API.
+class ManageRegistration {
+  constructor() {
+    this.token = new URLSearchParams(window.location.search).get('token');
+    this.details = document.getElementById('registration-details');
+    this.form = document.getElementById('manage-form');
+    this.saveButton = document.getElementById('save-button');
+    this.cancelButton = document.getElementById('cancel-button');
+
+    this.form.addEventListener('submit', this.handleUpdate.bind(this));
+    this.cancelButton.addEventListener('click', this.handleCancel.bind(this));
+    this.load();
+  }
+
+  async request(method, body) {
+    const response = await fetch(`/api/registrations/manage/${encodeURIComponent(this.token)}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Request failed');
+    }
+    return data;
+  }
+
+  async load() {
+    this.form.hidden = true;
+    this.cancelButton.hidden = true;
+
+    if (!this.token) {
+      this.showMessage('error', 'This link is incomplete. Please use the link from your email.');
+      return;
+    }
+
+    try {
+      this.render(await this.request('GET'));
+    } catch (error) {
+      this.showMessage('error', error.message);
+    }
+  }
+
+  render(registration) {
+    const { event } = registration;
+    const lines = [
+      event && event.name,
+      event && event.startsAt && new Date(event.startsAt).toLocaleString(),
+      event && event.location,
+      `Status: ${registration.status}`,
+      registration.waitlistPosition ? `Waitlist position: ${registration.waitlistPosition}` : null,
+      `Email: ${registration.email}`
+    ].filter(Boolean);
+
+    // Everything shown here came from the registrant, so it goes in as text
+    this.details.replaceChildren(...lines.map(text => {
+      const line = document.createElement('p');
+      line.textContent = text;
+      return line;
+    }));
+
+    this.form.elements.name.value = registration.name || '';
+    this.form.elements.phone.value = registration.phone || '';
+    this.form.elements.specialRequirements.value = registration.specialRequirements || '';
+    Array.from(this.form.elements.dietary).forEach(checkbox => {
+      checkbox.checked = (registration.dietaryPreferences || []).includes(checkbox.value);
+    });
+
+    const editable = registration.status !== 'cancelled';
+    this.form.hidden = !editable;
+    this.cancelButton.hidden = !editable || Boolean(registration.checkedInAt);
+  }
+
+  async handleUpdate(event) {
+    event.preventDefault();
+    this.saveButton.disabled = true;
+
+    try {
+      const { registration } = await this.request('PATCH', {
+        name: this.form.elements.name.value,
+        phone: this.form.elements.phone.value,
+        dietaryPreferences: Array.from(this.form.elements.dietary)
+          .filter(checkbox => checkbox.checked)
+          .map(checkbox => checkbox.value),
+        specialRequirements: this.form.elements.specialRequirements.value
+      });
+      this.render(registration);
+      this.showMessage('success', 'Your registration has been updated.');
+    } catch (error) {
+      this.showMessage('error', `Update failed: ${error.message}`);
+    } finally {
+      this.saveButton.disabled = false;
+    }
+  }
+
+  async handleCancel() {
+    if (!window.confirm('Cancel your registration? This cannot be undone.')) return;
+    this.cancelButton.disabled = true;
+
+    try {
+      await this.request('DELETE');
+      await this.load();
+      this.showMessage('success', 'Your registration has been cancelled.');
+    } catch (error) {
+      this.showMessage('error', `Cancellation failed: ${error.message}`);
+    } finally {
+      this.cancelButton.disabled = false;
+    }
+  }
+
+  showMessage(type, message) {
+    const messageElement = document.getElementById('message');
+    messageElement.textContent = message;
+    messageElement.className = `message ${type}`;
+    messageElement.style.display = 'block';
+  }
+}
+
 // Backend (Node.js/Express/MongoDB)
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const nodemailer = require('nodemailer');
@@ -145,7 +271,47 @@ const { v4: uuidv4 } = require('uuid');
 const app = express();
 app.use(express.json());
 
-// MongoDB Schema
+// Errors thrown inside a transaction that map to a specific HTTP status
+class RegistrationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.status = status;
+  }
+}
+
+// MongoDB aborts one of two transactions that write the same document.
+// session.withTransaction retries those, so one that still surfaces here means
+// the retries ran out and the client can try again later.
+const isTransientTransactionError = (error) => {
+  return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+};
+
+// MongoDB Schemas
+const eventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  startsAt: Date,
+  endsAt: Date,
+  location: String,
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Maintained inside the registration transactions so a seat can be
+  // claimed with a single conditional update
+  confirmedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+const Event = mongoose.model('Event', eventSchema);
+
 const registrationSchema = new mongoose.Schema({
   registrationId: {
     type: String,
@@ -170,36 +336,234 @@ const registrationSchema = new mongoose.Schema({
   dietaryPreferences: [String],
   specialRequirements: String,
   qrCode: String,
+  ticketToken: String,
+  // Signed tokens carry the version they were issued with; bumping it
+  // revokes every outstanding ticket and manage link
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'waitlisted', 'cancelled'],
     default: 'pending'
-  }
+  },
+  promotedAt: Date,
+  checkedInAt: Date,
+  cancelledAt: Date,
+  updatedAt: Date
 });
 
+// The waitlist is served in registration order
+registrationSchema.index({ eventId: 1, status: 1, createdAt: 1 });
+
 const Registration = mongoose.model('Registration', registrationSchema);
 
+// Signed Tokens
+// Tokens are "<payload>.<signature>" in base64url, signed with HMAC-SHA256.
+// The purpose is part of the signed payload so a token issued for one use
+// cannot be replayed for another, and every token carries an expiry.
+class SignedTokenService {
+  static getSecret() {
+    if (!process.env.TOKEN_SECRET) {
+      throw new Error('TOKEN_SECRET is not configured');
+    }
+    return process.env.TOKEN_SECRET;
+  }
+
+  static createSignature(payload) {
+    return crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+  }
+
+  static sign(purpose, data, expiresAt) {
+    const payload = Buffer.from(JSON.stringify({ ...data, purpose, exp: expiresAt.getTime() })).toString('base64url');
+    return `${payload}.${this.createSignature(payload)}`;
+  }
+
+  // Returns the signed data, or null when the token is malformed, tampered
+  // with, expired or issued for a different purpose
+  static verify(token, purpose) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.createSignature(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return data.purpose === purpose && data.exp > Date.now() ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Tickets and manage links stop working a day after the event ends. Events
+// without dates fall back to a fixed lifetime from when the token is issued.
+const TOKEN_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+const UNDATED_TOKEN_TTL = 90 * 24 * 60 * 60 * 1000;
+
+const getTokenExpiry = (event) => {
+  const end = event && (event.endsAt || event.startsAt);
+  return end
+    ? new Date(new Date(end).getTime() + TOKEN_GRACE_PERIOD)
+    : new Date(Date.now() + UNDATED_TOKEN_TTL);
+};
+
+// Self-service links let registrants look up, change or cancel their
+// registration without an account
+const getManageUrl = (registration, event) => {
+  const token = SignedTokenService.sign('manage', {
+    registrationId: registration.registrationId,
+    v: registration.tokenVersion
+  }, getTokenExpiry(event));
+  return `${process.env.APP_URL || 'http://localhost:3000'}/manage-registration?token=${token}`;
+};
+
+// Calendar Service
+// Builds iCalendar (RFC 5545) invites. Every registration keeps the same UID
+// so a cancellation replaces the invite in the attendee's calendar.
+class CalendarService {
+  static formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  static escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > 75) {
+        parts.push(current);
+        current = ` ${char}`;
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+  }
+
+  static createInvite(event, registration, { cancelled = false } = {}) {
+    const description = [
+      `Registration ID: ${registration.registrationId}`,
+      `Manage your registration: ${getManageUrl(registration, event)}`
+    ].join('\n');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Event Registration//EN',
+      'CALSCALE:GREGORIAN',
+      `METHOD:${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+      'BEGIN:VEVENT',
+      `UID:${registration.registrationId}@event-registration`,
+      `SEQUENCE:${cancelled ? 1 : 0}`,
+      `DTSTAMP:${this.formatDate(new Date())}`,
+      `DTSTART:${this.formatDate(event.startsAt)}`,
+      event.endsAt ? `DTEND:${this.formatDate(event.endsAt)}` : null,
+      `SUMMARY:${this.escapeText(event.name)}`,
+      event.location ? `LOCATION:${this.escapeText(event.location)}` : null,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return lines.filter(Boolean).map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // Events without a start time cannot be put in a calendar
+  static createAttachment(event, registration, options = {}) {
+    if (!event || !event.startsAt) return null;
+
+    const method = options.cancelled ? 'CANCEL' : 'PUBLISH';
+    return {
+      filename: 'event.ics',
+      content: this.createInvite(event, registration, options),
+      contentType: `text/calendar; charset=utf-8; method=${method}`
+    };
+  }
+}
+
+// Email Transports
+// A transport is anything with a nodemailer-style sendMail(message) method,
+// selected with EMAIL_TRANSPORT or replaced with EmailService.setDefaultTransport
+const emailTransports = {
+  smtp: () => nodemailer.createTransport({
+    // Configure email transport
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: true,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  }),
+
+  // Local development stub: logs messages instead of sending them
+  console: () => ({
+    async sendMail(message) {
+      const attachments = (message.attachments || []).map(attachment => attachment.filename);
+      console.log(`[email] to=${message.to} subject="${message.subject}" attachments=[${attachments.join(', ')}]`);
+      return { messageId: uuidv4() };
+    }
+  })
+};
+
+const createEmailTransport = (name = process.env.EMAIL_TRANSPORT || 'smtp') => {
+  if (!emailTransports[name]) {
+    throw new Error(`Unknown email transport "${name}"`);
+  }
+  return emailTransports[name]();
+};
+
+// Registrants choose their own name, so it is escaped before it goes into
+// an HTML email
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#039;');
+
 // Email Service
 class EmailService {
-  constructor() {
-    this.transporter = nodemailer.createTransport({
-      // Configure email transport
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT,
-      secure: true,
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
-    });
+  constructor(transporter = EmailService.getDefaultTransport()) {
+    this.transporter = transporter;
+  }
+
+  static getDefaultTransport() {
+    if (!EmailService.defaultTransport) {
+      EmailService.defaultTransport = createEmailTransport();
+    }
+    return EmailService.defaultTransport;
   }
 
-  async sendConfirmationEmail(registration, qrCodeBuffer) {
-    const emailTemplate = this.getEmailTemplate(registration);
+  static setDefaultTransport(transport) {
+    EmailService.defaultTransport = transport;
+  }
+
+  async sendConfirmationEmail(registration, qrCodeBuffer, event) {
+    const emailTemplate = this.getEmailTemplate(registration, event);
+    const invite = CalendarService.createAttachment(event, registration);
 
     await this.transporter.sendMail({
       from: process.env.EMAIL_FROM,
@@ -210,18 +574,56 @@ class EmailService {
         {
           filename: 'qr-code.png',
           content: qrCodeBuffer
-        }
+        },
+        ...(invite ? [invite] : [])
       ]
     });
   }
 
-  getEmailTemplate(registration) {
+  async sendCancellationEmail(registration, event) {
+    const invite = CalendarService.createAttachment(event, registration, { cancelled: true });
+
+    await this.transporter.sendMail({
+      from: process.env.EMAIL_FROM,
+      to: registration.email,
+      subject: 'Event Registration Cancelled',
+      html: `
+        <h1>Registration Cancelled</h1>
+        <p>Dear ${escapeHtml(registration.name)},</p>
+        <p>Your registration ${registration.registrationId} has been cancelled.</p>
+      `,
+      attachments: invite ? [invite] : []
+    });
+  }
+
+  async sendWaitlistEmail(registration, position, event) {
+    await this.transporter.sendMail({
+      from: process.env.EMAIL_FROM,
+      to: registration.email,
+      subject: 'You are on the waitlist',
+      html: `
+        <h1>You're on the waitlist</h1>
+        <p>Dear ${escapeHtml(registration.name)},</p>
+        <p>The event is currently full. You are number ${position} on the waitlist.</p>
+        <p>If a seat opens up you will be registered automatically and receive your ticket by email.</p>
+        <p>Your registration ID is: ${registration.registrationId}</p>
+        <p><a href="${getManageUrl(registration, event)}">Manage or cancel your registration</a></p>
+      `
+    });
+  }
+
+  getEmailTemplate(registration, event) {
+    const intro = registration.promotedAt
+      ? 'Good news: a seat opened up and your waitlisted registration is now confirmed.'
+      : 'Thank you for registering for our event.';
+
     return `
       <h1>Registration Confirmation</h1>
-      <p>Dear ${registration.name},</p>
-      <p>Thank you for registering for our event.</p>
+      <p>Dear ${escapeHtml(registration.name)},</p>
+      <p>${intro}</p>
       <p>Your registration ID is: ${registration.registrationId}</p>
       <p>Please keep your QR code handy for check-in.</p>
+      <p><a href="${getManageUrl(registration, event)}">Manage or cancel your registration</a></p>
     `;
   }
 }
@@ -230,7 +632,8 @@ class EmailService {
 class QRCodeService {
   static async generate(data) {
     try {
-      return await QRCode.toBuffer(JSON.stringify(data), {
+      const content = typeof data === 'string' ? data : JSON.stringify(data);
+      return await QRCode.toBuffer(content, {
         errorCorrectionLevel: 'H',
         margin: 1,
         width: 300
@@ -242,56 +645,614 @@ class QRCodeService {
   }
 }
 
+// Seat and Waitlist Service
+class SeatService {
+  // Claims a seat with one conditional update and returns the event, or null
+  // when it is full. Concurrent registrations for the same event write the
+  // same document, so MongoDB aborts all but one of the transactions instead
+  // of letting them overbook.
+  static async claimSeat(eventId, session) {
+    const event = await Event.findOneAndUpdate(
+      { _id: eventId, $expr: { $lt: ['$confirmedCount', '$capacity'] } },
+      { $inc: { confirmedCount: 1 } },
+      { session, new: true }
+    );
+    if (event) return event;
+
+    if (!(await Event.exists({ _id: eventId }).session(session))) {
+      throw new RegistrationError(404, 'Event not found');
+    }
+    return null;
+  }
+
+  static async releaseSeat(eventId, session) {
+    await Event.updateOne(
+      { _id: eventId, confirmedCount: { $gt: 0 } },
+      { $inc: { confirmedCount: -1 } },
+      { session }
+    );
+  }
+
+  // The ticket token is what the QR code encodes and what check-in redeems
+  static async issueTicket(registration, event) {
+    registration.ticketToken = SignedTokenService.sign('check-in', {
+      registrationId: registration.registrationId,
+      eventId: String(registration.eventId),
+      v: registration.tokenVersion
+    }, getTokenExpiry(event));
+
+    const qrCodeBuffer = await QRCodeService.generate(registration.ticketToken);
+    registration.qrCode = qrCodeBuffer.toString('base64');
+    return qrCodeBuffer;
+  }
+
+  static async getWaitlistPosition(registration, session) {
+    const ahead = await Registration.countDocuments({
+      eventId: registration.eventId,
+      status: 'waitlisted',
+      createdAt: { $lt: registration.createdAt }
+    }).session(session);
+    return ahead + 1;
+  }
+
+  // Moves waitlisted registrations into free seats, oldest first. Returns the
+  // promoted registrations with their QR codes so the caller can email them
+  // once the transaction has committed.
+  static async promoteWaitlisted(eventId, session) {
+    const promoted = [];
+
+    while (true) {
+      const next = await Registration.findOne({ eventId, status: 'waitlisted' })
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (!next) break;
+
+      const event = await this.claimSeat(eventId, session);
+      if (!event) break;
+
+      next.status = 'confirmed';
+      next.promotedAt = new Date();
+      const qrCodeBuffer = await this.issueTicket(next, event);
+      await next.save({ session });
+      promoted.push({ registration: next, qrCodeBuffer, event });
+    }
+
+    return promoted;
+  }
+
+  static async notifyPromoted(promoted) {
+    const emailService = new EmailService();
+    for (const { registration, qrCodeBuffer, event } of promoted) {
+      try {
+        await emailService.sendConfirmationEmail(registration, qrCodeBuffer, event);
+      } catch (error) {
+        console.error(`Promotion email failed for ${registration.registrationId}:`, error);
+      }
+    }
+  }
+}
+
+// Staff endpoints require the shared key in the X-Staff-Key header
+const requireStaff = (req, res, next) => {
+  const expected = Buffer.from(process.env.STAFF_API_KEY || '');
+  const provided = Buffer.from(req.get('X-Staff-Key') || '');
+
+  if (!expected.length || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  next();
+};
+
+// Fields registrants may change themselves, each with a check that returns an
+// error message or null. The rules match the registration form's.
+const SELF_SERVICE_FIELDS = {
+  name: value => typeof value === 'string' && /^[a-zA-Z\s]{2,50}$/.test(value.trim())
+    ? null
+    : 'Name must be between 2-50 characters',
+  phone: value => typeof value === 'string' && (value.trim() === '' || /^\+?[\d\s-]{10,}$/.test(value.trim()))
+    ? null
+    : 'Please enter a valid phone number',
+  dietaryPreferences: value => Array.isArray(value) && value.length <= 20 &&
+    value.every(item => typeof item === 'string' && item.length <= 50)
+    ? null
+    : 'Dietary preferences must be a list of short text values',
+  specialRequirements: value => typeof value === 'string' && value.length <= 1000
+    ? null
+    : 'Special requirements must be text of at most 1000 characters'
+};
+
 // Registration Controller
 class RegistrationController {
   static async register(req, res) {
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    let session;
 
     try {
-      const registration = new Registration({
-        ...req.body,
-        registrationId: uuidv4()
-      });
+      session = await mongoose.startSession();
+      // Status, tickets and check-in state are never taken from the client
+      const { name, email, phone, eventId, dietaryPreferences, specialRequirements } = req.body;
+      let registration;
+      let event;
+      let qrCodeBuffer = null;
+      let waitlistPosition = null;
 
-      // Generate QR Code
-      const qrData = {
-        registrationId: registration.registrationId,
-        name: registration.name,
-        eventId: registration.eventId
-      };
+      // withTransaction reruns the callback when concurrent registrations
+      // collide on the event's seat count, so every attempt starts afresh
+      await session.withTransaction(async () => {
+        registration = new Registration({
+          name,
+          email,
+          phone,
+          eventId,
+          dietaryPreferences,
+          specialRequirements,
+          registrationId: uuidv4()
+        });
+        qrCodeBuffer = null;
+        waitlistPosition = null;
 
-      const qrCodeBuffer = await QRCodeService.generate(qrData);
-      registration.qrCode = qrCodeBuffer.toString('base64');
+        event = await SeatService.claimSeat(registration.eventId, session);
 
-      // Save registration
-      await registration.save({ session });
+        if (event) {
+          registration.status = 'confirmed';
 
-      // Send confirmation email
-      const emailService = new EmailService();
-      await emailService.sendConfirmationEmail(registration, qrCodeBuffer);
+          // Generate QR Code
+          qrCodeBuffer = await SeatService.issueTicket(registration, event);
 
-      await session.commitTransaction();
+          // Save registration
+          await registration.save({ session });
+        } else {
+          registration.status = 'waitlisted';
+          await registration.save({ session });
+
+          waitlistPosition = await SeatService.getWaitlistPosition(registration, session);
+        }
+      });
+
+      // A full event is not returned by claimSeat, but links still expire with it
+      const linkEvent = event || await Event.findById(registration.eventId);
+
+      // Emails go out after the commit so a failed send never undoes the
+      // registration and no ticket is sent for one that was rolled back
+      try {
+        const emailService = new EmailService();
+        if (event) {
+          await emailService.sendConfirmationEmail(registration, qrCodeBuffer, event);
+        } else {
+          await emailService.sendWaitlistEmail(registration, waitlistPosition, linkEvent);
+        }
+      } catch (error) {
+        console.error(`Registration email failed for ${registration.registrationId}:`, error);
+      }
 
       res.status(201).json({
-        message: 'Registration successful',
-        registrationId: registration.registrationId
+        message: event ? 'Registration successful' : 'Event is full, added to the waitlist',
+        registrationId: registration.registrationId,
+        status: registration.status,
+        ticketToken: registration.ticketToken,
+        waitlistPosition,
+        manageUrl: getManageUrl(registration, linkEvent)
       });
     } catch (error) {
-      await session.abortTransaction();
       console.error('Registration failed:', error);
-      res.status(500).json({
+
+      // Only reached once withTransaction has given up retrying
+      if (isTransientTransactionError(error)) {
+        return res.status(409).json({
+          message: 'Registration failed',
+          error: 'Another registration was being processed at the same time, please try again'
+        });
+      }
+
+      res.status(error.status || 500).json({
         message: 'Registration failed',
         error: error.message
       });
     } finally {
-      session.endSession();
+      if (session) session.endSession();
+    }
+  }
+
+  static async findByManageToken(token, session = null) {
+    const data = SignedTokenService.verify(token, 'manage');
+    if (!data) {
+      throw new RegistrationError(401, 'This link is invalid');
+    }
+
+    const registration = await Registration.findOne({ registrationId: data.registrationId }).session(session);
+    if (!registration) {
+      throw new RegistrationError(404, 'Registration not found');
+    }
+    if (data.v !== registration.tokenVersion) {
+      throw new RegistrationError(401, 'This link has been replaced by a newer one');
+    }
+    return registration;
+  }
+
+  static async toSelfServiceView(registration) {
+    const event = await Event.findById(registration.eventId);
+    const waitlistPosition = registration.status === 'waitlisted'
+      ? await SeatService.getWaitlistPosition(registration, null)
+      : null;
+
+    return {
+      registrationId: registration.registrationId,
+      name: registration.name,
+      email: registration.email,
+      phone: registration.phone,
+      dietaryPreferences: registration.dietaryPreferences,
+      specialRequirements: registration.specialRequirements,
+      status: registration.status,
+      waitlistPosition,
+      qrCode: registration.status === 'confirmed' ? registration.qrCode : null,
+      checkedInAt: registration.checkedInAt,
+      event: event && {
+        name: event.name,
+        startsAt: event.startsAt,
+        endsAt: event.endsAt,
+        location: event.location
+      }
+    };
+  }
+
+  static async lookup(req, res) {
+    try {
+      const registration = await RegistrationController.findByManageToken(req.params.token);
+      res.json(await RegistrationController.toSelfServiceView(registration));
+    } catch (error) {
+      console.error('Registration lookup failed:', error);
+      res.status(error.status || 500).json({
+        message: 'Registration lookup failed',
+        error: error.message
+      });
+    }
+  }
+
+  // Only contact details and preferences can be changed; the event and seat
+  // are fixed once registered
+  static async update(req, res) {
+    try {
+      const registration = await RegistrationController.findByManageToken(req.params.token);
+      if (registration.status === 'cancelled') {
+        throw new RegistrationError(409, 'Cancelled registrations cannot be changed');
+      }
+
+      const body = req.body || {};
+      const fields = Object.keys(SELF_SERVICE_FIELDS).filter(field => body[field] !== undefined);
+      const invalid = fields.map(field => SELF_SERVICE_FIELDS[field](body[field])).filter(Boolean);
+      if (invalid.length) {
+        throw new RegistrationError(400, invalid.join('. '));
+      }
+
+      fields.forEach(field => {
+        const value = body[field];
+        registration[field] = typeof value === 'string' ? value.trim() : value;
+      });
+      registration.updatedAt = new Date();
+      await registration.save();
+
+      res.json({
+        message: 'Registration updated',
+        registration: await RegistrationController.toSelfServiceView(registration)
+      });
+    } catch (error) {
+      console.error('Registration update failed:', error);
+      res.status(error.status || (error.name === 'ValidationError' ? 400 : 500)).json({
+        message: 'Registration update failed',
+        error: error.message
+      });
+    }
+  }
+
+  // Cancelling a confirmed registration frees its seat for the waitlist in
+  // the same transaction
+  static async cancel(req, res) {
+    let session;
+
+    try {
+      session = await mongoose.startSession();
+      let registration;
+      let promoted = [];
+
+      await session.withTransaction(async () => {
+        registration = await RegistrationController.findByManageToken(req.params.token, session);
+        if (registration.status === 'cancelled') {
+          throw new RegistrationError(409, 'Registration is already cancelled');
+        }
+        if (registration.checkedInAt) {
+          throw new RegistrationError(409, 'Checked-in registrations cannot be cancelled');
+        }
+
+        const wasConfirmed = registration.status === 'confirmed';
+        registration.status = 'cancelled';
+        registration.cancelledAt = new Date();
+        await registration.save({ session });
+
+        promoted = [];
+        if (wasConfirmed) {
+          await SeatService.releaseSeat(registration.eventId, session);
+          promoted = await SeatService.promoteWaitlisted(registration.eventId, session);
+        }
+      });
+
+      // Emails go out after the commit so a failed send never undoes the cancellation
+      try {
+        const event = await Event.findById(registration.eventId);
+        await new EmailService().sendCancellationEmail(registration, event);
+      } catch (error) {
+        console.error(`Cancellation email failed for ${registration.registrationId}:`, error);
+      }
+      await SeatService.notifyPromoted(promoted);
+
+      res.json({
+        message: 'Registration cancelled',
+        registrationId: registration.registrationId
+      });
+    } catch (error) {
+      console.error('Registration cancellation failed:', error);
+      res.status(error.status || (isTransientTransactionError(error) ? 409 : 500)).json({
+        message: 'Registration cancellation failed',
+        error: error.message
+      });
+    } finally {
+      if (session) session.endSession();
+    }
+  }
+}
+
+// Staff Controller
+class StaffRegistrationController {
+  // Revokes a registration's ticket and manage link, for example after one
+  // was shared by mistake, and emails fresh ones to the registrant
+  static async reissueTokens(req, res) {
+    try {
+      const registration = await Registration.findOne({ registrationId: req.params.registrationId });
+      if (!registration) {
+        throw new RegistrationError(404, 'Registration not found');
+      }
+      if (registration.status === 'cancelled') {
+        throw new RegistrationError(409, 'Cancelled registrations have nothing to reissue');
+      }
+
+      const event = await Event.findById(registration.eventId);
+      registration.tokenVersion += 1;
+      registration.updatedAt = new Date();
+
+      const qrCodeBuffer = registration.status === 'confirmed'
+        ? await SeatService.issueTicket(registration, event)
+        : null;
+      await registration.save();
+
+      try {
+        const emailService = new EmailService();
+        if (qrCodeBuffer) {
+          await emailService.sendConfirmationEmail(registration, qrCodeBuffer, event);
+        } else {
+          const position = await SeatService.getWaitlistPosition(registration, null);
+          await emailService.sendWaitlistEmail(registration, position, event);
+        }
+      } catch (error) {
+        console.error(`Reissue email failed for ${registration.registrationId}:`, error);
+      }
+
+      res.json({
+        message: 'Ticket and manage link reissued',
+        registrationId: registration.registrationId
+      });
+    } catch (error) {
+      console.error('Token reissue failed:', error);
+      res.status(error.status || 500).json({
+        message: 'Token reissue failed',
+        error: error.message
+      });
+    }
+  }
+}
+
+const ATTENDEE_CSV_COLUMNS = [
+  'registrationId', 'name', 'email', 'phone', 'status', 'dietaryPreferences',
+  'specialRequirements', 'createdAt', 'promotedAt', 'checkedInAt', 'cancelledAt'
+];
+
+// Values starting with =, +, - or @ are prefixed with a quote so spreadsheet
+// apps do not run them as formulas; phone numbers and plain numbers are left as is
+const csvField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatAttendeeField = (registration, column) => {
+  const value = registration[column];
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Event Controller
+class EventController {
+  // Raising the capacity promotes waitlisted registrations into the new seats
+  static async updateCapacity(req, res) {
+    const capacity = Number(req.body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      return res.status(400).json({ message: 'Capacity must be a non-negative integer' });
+    }
+
+    let session;
+
+    try {
+      session = await mongoose.startSession();
+      let promoted = [];
+
+      await session.withTransaction(async () => {
+        const event = await Event.findById(req.params.eventId).session(session);
+        if (!event) {
+          throw new RegistrationError(404, 'Event not found');
+        }
+        if (capacity < event.confirmedCount) {
+          throw new RegistrationError(409, `${event.confirmedCount} seats are already confirmed`);
+        }
+
+        event.capacity = capacity;
+        await event.save({ session });
+
+        promoted = await SeatService.promoteWaitlisted(event._id, session);
+      });
+      await SeatService.notifyPromoted(promoted);
+
+      res.json({
+        message: 'Capacity updated',
+        capacity,
+        promoted: promoted.map(({ registration }) => registration.registrationId)
+      });
+    } catch (error) {
+      console.error('Capacity update failed:', error);
+      res.status(error.status || (isTransientTransactionError(error) ? 409 : 500)).json({
+        message: 'Capacity update failed',
+        error: error.message
+      });
+    } finally {
+      if (session) session.endSession();
+    }
+  }
+}
+
+// Resolves false instead of waiting forever when the client disconnects
+// before the response drains
+const waitForDrain = (res) => new Promise(resolve => {
+  if (res.destroyed) return resolve(false);
+
+  const finish = (drained) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    resolve(drained);
+  };
+  const onDrain = () => finish(true);
+  const onClose = () => finish(false);
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+});
+
+// Attendee Export
+class AttendeeExportController {
+  // Streams the attendee list straight from a cursor, optionally filtered by
+  // ?status=confirmed,waitlisted
+  static async exportCSV(req, res) {
+    try {
+      const event = await Event.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+
+      const filter = { eventId: event._id };
+      if (req.query.status) {
+        filter.status = { $in: String(req.query.status).split(',') };
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="attendees-${event._id}.csv"`);
+      res.write(ATTENDEE_CSV_COLUMNS.join(',') + '\r\n');
+
+      // The cursor is closed however the loop ends, including when the
+      // client goes away mid-download
+      const cursor = Registration.find(filter).sort({ createdAt: 1 }).cursor();
+      try {
+        for await (const registration of cursor) {
+          const line = ATTENDEE_CSV_COLUMNS
+            .map(column => csvField(formatAttendeeField(registration, column)))
+            .join(',');
+          if (!res.write(line + '\r\n') && !await waitForDrain(res)) {
+            return;
+          }
+        }
+      } finally {
+        await cursor.close();
+      }
+
+      res.end();
+    } catch (error) {
+      console.error('Attendee export failed:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        message: 'Attendee export failed',
+        error: error.message
+      });
+    }
+  }
+}
+
+// Check-in Controller
+class CheckInController {
+  // Validates the signed ticket and redeems it exactly once
+  static async checkIn(req, res) {
+    try {
+      const ticket = SignedTokenService.verify(req.body.token, 'check-in');
+      if (!ticket) {
+        return res.status(400).json({ message: 'Invalid ticket' });
+      }
+      if (req.body.eventId && req.body.eventId !== ticket.eventId) {
+        return res.status(409).json({ message: 'Ticket is for a different event' });
+      }
+
+      const registration = await Registration.findOneAndUpdate(
+        { registrationId: ticket.registrationId, tokenVersion: ticket.v, status: 'confirmed', checkedInAt: null },
+        { $set: { checkedInAt: new Date() } },
+        { new: true }
+      );
+
+      if (registration) {
+        return res.json({
+          message: 'Checked in',
+          registrationId: registration.registrationId,
+          name: registration.name,
+          checkedInAt: registration.checkedInAt
+        });
+      }
+
+      // Work out why the ticket could not be redeemed
+      const existing = await Registration.findOne({ registrationId: ticket.registrationId });
+      if (!existing) {
+        return res.status(404).json({ message: 'Registration not found' });
+      }
+      if (existing.tokenVersion !== ticket.v) {
+        return res.status(409).json({ message: 'Ticket has been revoked' });
+      }
+      if (existing.checkedInAt) {
+        return res.status(409).json({
+          message: 'Ticket has already been redeemed',
+          checkedInAt: existing.checkedInAt
+        });
+      }
+      res.status(409).json({ message: `Registration is ${existing.status}` });
+    } catch (error) {
+      console.error('Check-in failed:', error);
+      res.status(500).json({
+        message: 'Check-in failed',
+        error: error.message
+      });
     }
   }
 }
 
 // Express Routes
+// The page behind getManageUrl; its script reads the token and calls the
+// manage API. No referrer is sent, so the token never leaks to other sites.
+app.get('/manage-registration', (req, res) => {
+  res.set('Referrer-Policy', 'no-referrer');
+  res.sendFile(path.join(__dirname, 'public', 'manage-registration.html'));
+});
 app.post('/api/register', RegistrationController.register);
+app.get('/api/registrations/manage/:token', RegistrationController.lookup);
+app.patch('/api/registrations/manage/:token', RegistrationController.update);
+app.delete('/api/registrations/manage/:token', RegistrationController.cancel);
+app.patch('/api/events/:eventId/capacity', requireStaff, EventController.updateCapacity);
+app.get('/api/events/:eventId/attendees.csv', requireStaff, AttendeeExportController.exportCSV);
+app.post('/api/registrations/:registrationId/reissue', requireStaff, StaffRegistrationController.reissueTokens);
+app.post('/api/check-in', requireStaff, CheckInController.checkIn);
 
 // HTML Template
 `
@@ -382,4 +1343,77 @@ app.post('/api/register', RegistrationController.register);
     <script src="registration.js"></script>
 </body>
 </html>
+`
+
+// Manage Registration Template (public/manage-registration.html)
+`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Manage Registration</title>
+    <meta name="referrer" content="no-referrer">
+    <style>
+        .form-group {
+            margin-bottom: 15px;
+        }
+        .message {
+            padding: 10px;
+            margin: 10px 0;
+            border-radius: 4px;
+        }
+        .message.success {
+            background-color: #dff0d8;
+            color: #3c763d;
+        }
+        .message.error {
+            background-color: #f2dede;
+            color: #a94442;
+        }
+    </style>
+</head>
+<body>
+    <div id="message" style="display: none;"></div>
+    <div id="registration-details"></div>
+
+    <form id="manage-form" hidden>
+        <div class="form-group">
+            <label for="name">Name:</label>
+            <input type="text" id="name" name="name" required>
+        </div>
+
+        <div class="form-group">
+            <label for="phone">Phone:</label>
+            <input type="tel" id="phone" name="phone">
+        </div>
+
+        <div class="form-group">
+            <label>Dietary Preferences:</label>
+            <div>
+                <input type="checkbox" name="dietary" value="vegetarian">
+                <label>Vegetarian</label>
+            </div>
+            <div>
+                <input type="checkbox" name="dietary" value="vegan">
+                <label>Vegan</label>
+            </div>
+            <div>
+                <input type="checkbox" name="dietary" value="gluten-free">
+                <label>Gluten-free</label>
+            </div>
+        </div>
+
+        <div class="form-group">
+            <label for="specialRequirements">Special Requirements:</label>
+            <textarea id="specialRequirements" name="specialRequirements"></textarea>
+        </div>
+
+        <button type="submit" id="save-button">Save Changes</button>
+    </form>
+
+    <button type="button" id="cancel-button" hidden>Cancel Registration</button>
+
+    <script src="registration.js"></script>
+    <script>new ManageRegistration();</script>
+</body>
+</html>
 `
\ No newline at end of file
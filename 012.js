@@ -1,12 +1,213 @@
+// Weather providers turn a vendor's API into one normalized shape, so the
+// dashboard never depends on a particular vendor:
+//   current:  { city, temperature, humidity, windSpeed, description, iconUrl, timezoneOffset, time }
+//   forecast: { city, timezoneOffset, list: [{ time, temperature, humidity, description, iconUrl }] }
+// Temperatures are in °C, wind speeds in m/s, times in epoch milliseconds and
+// timezone offsets in seconds from UTC.
+class WeatherProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async getCurrentWeather(city) {
+    throw new Error(`${this.name} does not implement getCurrentWeather`);
+  }
+
+  async getForecast(city) {
+    throw new Error(`${this.name} does not implement getForecast`);
+  }
+}
+
+class OpenWeatherMapProvider extends WeatherProvider {
+  constructor({ apiKey, baseUrl = 'https://api.openweathermap.org/data/2.5' }) {
+    super('openweathermap');
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  async request(endpoint, city, errorMessage) {
+    const response = await fetch(
+      `${this.baseUrl}/${endpoint}?q=${encodeURIComponent(city)}&appid=${this.apiKey}&units=metric`
+    );
+
+    if (!response.ok) {
+      throw new Error(errorMessage);
+    }
+
+    return response.json();
+  }
+
+  iconUrl(icon) {
+    return `https://openweathermap.org/img/w/${icon}.png`;
+  }
+
+  async getCurrentWeather(city) {
+    const data = await this.request('weather', city, 'City not found');
+    return {
+      city: data.name,
+      temperature: data.main.temp,
+      humidity: data.main.humidity,
+      windSpeed: data.wind.speed,
+      description: data.weather[0].description,
+      iconUrl: this.iconUrl(data.weather[0].icon),
+      timezoneOffset: data.timezone,
+      time: data.dt * 1000
+    };
+  }
+
+  async getForecast(city) {
+    const data = await this.request('forecast', city, 'Forecast data not available');
+    return {
+      city: data.city.name,
+      timezoneOffset: data.city.timezone,
+      list: data.list.map(item => ({
+        time: item.dt * 1000,
+        temperature: item.main.temp,
+        humidity: item.main.humidity,
+        description: item.weather[0].description,
+        iconUrl: this.iconUrl(item.weather[0].icon)
+      }))
+    };
+  }
+}
+
+// Deterministic fake data for local development; the same city always gets
+// the same weather
+class MockWeatherProvider extends WeatherProvider {
+  constructor({ latency = 200 } = {}) {
+    super('mock');
+    this.latency = latency;
+  }
+
+  seed(city) {
+    return Array.from(city.toLowerCase()).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 997, 7);
+  }
+
+  reading(city, time) {
+    const seed = this.seed(city);
+    const hour = new Date(time).getUTCHours();
+    const conditions = [
+      { description: 'clear sky', icon: '01d' },
+      { description: 'scattered clouds', icon: '03d' },
+      { description: 'light rain', icon: '10d' }
+    ];
+    const condition = conditions[(seed + Math.floor(time / 86400000)) % conditions.length];
+
+    return {
+      time,
+      temperature: 5 + (seed % 20) + 6 * Math.sin((hour - 9) / 24 * 2 * Math.PI),
+      humidity: 40 + (seed + hour) % 50,
+      description: condition.description,
+      iconUrl: `https://openweathermap.org/img/w/${condition.icon}.png`
+    };
+  }
+
+  async getCurrentWeather(city) {
+    await new Promise(resolve => setTimeout(resolve, this.latency));
+    return { city, windSpeed: 3.4, timezoneOffset: 0, ...this.reading(city, Date.now()) };
+  }
+
+  async getForecast(city) {
+    await new Promise(resolve => setTimeout(resolve, this.latency));
+    const start = Math.ceil(Date.now() / 10800000) * 10800000;
+    return {
+      city,
+      timezoneOffset: 0,
+      list: Array.from({ length: 40 }, (_, index) => this.reading(city, start + index * 10800000))
+    };
+  }
+}
+
+// Cached responses live in localStorage so the last known weather is still
+// available offline and after a reload
+class WeatherCache {
+  constructor(storage = window.localStorage, prefix = 'weatherCache:') {
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.map(part => String(part).toLowerCase()).join(':');
+  }
+
+  get(key) {
+    try {
+      return JSON.parse(this.storage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  set(key, data) {
+    const entry = { data, fetchedAt: Date.now() };
+    try {
+      this.storage.setItem(key, JSON.stringify(entry));
+    } catch (error) {
+      // Storage is full: drop everything cached and keep going uncached
+      this.prune(0);
+    }
+    return entry;
+  }
+
+  prune(maxAge) {
+    const now = Date.now();
+    Object.keys(this.storage)
+      .filter(key => key.startsWith(this.prefix))
+      .forEach(key => {
+        const entry = this.get(key);
+        if (!entry || now - entry.fetchedAt >= maxAge) {
+          this.storage.removeItem(key);
+        }
+      });
+  }
+}
+
+// Providers always report metric values; each system converts them for
+// display. Intl has no kelvin unit, so SI temperatures use a plain suffix.
+const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric (°C, m/s)',
+    temperature: { convert: celsius => celsius, unit: 'celsius', symbol: '°C' },
+    speed: { convert: metersPerSecond => metersPerSecond, unit: 'meter-per-second', symbol: 'm/s' }
+  },
+  imperial: {
+    label: 'Imperial (°F, mph)',
+    temperature: { convert: celsius => celsius * 9 / 5 + 32, unit: 'fahrenheit', symbol: '°F' },
+    speed: { convert: metersPerSecond => metersPerSecond * 2.236936, unit: 'mile-per-hour', symbol: 'mph' }
+  },
+  si: {
+    label: 'SI (K, m/s)',
+    temperature: { convert: celsius => celsius + 273.15, unit: null, symbol: 'K' },
+    speed: { convert: metersPerSecond => metersPerSecond, unit: 'meter-per-second', symbol: 'm/s' }
+  }
+};
+
+// An empty locale follows the browser's language
+const LOCALES = ['', 'en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'ja-JP'];
+
+const DEFAULT_SETTINGS = { units: 'metric', locale: '' };
+
 class WeatherDashboard {
-  constructor() {
-    this.API_KEY = 'your_api_key';
-    this.BASE_URL = 'https://api.openweathermap.org/data/2.5';
+  constructor(options = {}) {
+    this.provider = options.provider || new OpenWeatherMapProvider({ apiKey: 'your_api_key' });
+    this.cache = options.cache || new WeatherCache();
     this.MAX_HISTORY = 5;
+    // How long each endpoint's data counts as fresh
+    this.CACHE_TTL = {
+      current: 10 * 60 * 1000,
+      forecast: 60 * 60 * 1000
+    };
+    // Entries older than this are not worth showing even offline
+    this.MAX_CACHE_AGE = 3 * 24 * 60 * 60 * 1000;
     this.charts = {};
-    
+    this.displayed = null;
+    this.stalenessTimer = null;
+    this.settings = this.getSettings();
+
+    this.cache.prune(this.MAX_CACHE_AGE);
     this.initializeUI();
     this.loadSearchHistory();
+    this.loadSettings();
     this.setupEventListeners();
   }
 
@@ -15,6 +216,9 @@ class WeatherDashboard {
       searchForm: document.getElementById('search-form'),
       searchInput: document.getElementById('city-input'),
       historyContainer: document.getElementById('search-history'),
+      unitSelect: document.getElementById('unit-select'),
+      localeSelect: document.getElementById('locale-select'),
+      stalenessBanner: document.getElementById('staleness-banner'),
       currentWeather: document.getElementById('current-weather'),
       forecast: document.getElementById('forecast'),
       temperatureChart: document.getElementById('temperature-chart'),
@@ -33,6 +237,22 @@ class WeatherDashboard {
         this.handleHistoryClick(e.target.textContent);
       }
     });
+
+    this.elements.unitSelect.addEventListener('change', (e) => {
+      this.updateSettings({ units: e.target.value });
+    });
+
+    this.elements.localeSelect.addEventListener('change', (e) => {
+      this.updateSettings({ locale: e.target.value });
+    });
+
+    // Refresh whatever is on screen as soon as the connection comes back
+    window.addEventListener('online', () => {
+      if (this.displayed) {
+        this.fetchAndDisplayWeather(this.displayed.city).catch(() => this.updateStalenessBanner());
+      }
+    });
+    window.addEventListener('offline', () => this.updateStalenessBanner());
   }
 
   async handleSearch() {
@@ -49,97 +269,224 @@ class WeatherDashboard {
   }
 
   async handleHistoryClick(city) {
-    await this.fetchAndDisplayWeather(city);
+    try {
+      await this.fetchAndDisplayWeather(city);
+    } catch (error) {
+      this.showError('Failed to fetch weather data');
+    }
   }
 
   async fetchAndDisplayWeather(city) {
+    let current;
+    let forecast;
+
     try {
-      const currentWeather = await this.fetchCurrentWeather(city);
-      const forecast = await this.fetchForecast(city);
-      
-      this.displayCurrentWeather(currentWeather);
-      this.displayForecast(forecast);
-      this.updateCharts(forecast);
+      [current, forecast] = await Promise.all([
+        this.loadWithCache('current', city, () => this.provider.getCurrentWeather(city)),
+        this.loadWithCache('forecast', city, () => this.provider.getForecast(city))
+      ]);
     } catch (error) {
       throw new Error('Failed to fetch weather data');
     }
+
+    this.render(city, current, forecast);
+
+    // Stale entries were rendered straight away; re-render once the
+    // background refresh lands, unless the user has moved on to another city
+    if (current.revalidation || forecast.revalidation) {
+      Promise.all([
+        current.revalidation || current,
+        forecast.revalidation || forecast
+      ]).then(([freshCurrent, freshForecast]) => {
+        if (this.displayed && this.displayed.city === city) {
+          this.render(city, freshCurrent || current, freshForecast || forecast);
+        }
+      }).catch(() => this.updateStalenessBanner());
+    }
   }
 
-  async fetchCurrentWeather(city) {
-    const response = await fetch(
-      `${this.BASE_URL}/weather?q=${city}&appid=${this.API_KEY}&units=metric`
-    );
-    
-    if (!response.ok) {
-      throw new Error('City not found');
+  // Stale-while-revalidate: fresh entries are used as they are, stale entries
+  // are returned immediately while a refresh runs in the background, and a
+  // request only waits on the network when nothing is cached. Entries carry
+  // the time they were fetched so the UI can say how old they are.
+  async loadWithCache(endpoint, city, fetcher) {
+    const key = this.cache.key(this.provider.name, endpoint, city);
+    const cached = this.cache.get(key);
+
+    const refresh = async () => {
+      const entry = this.cache.set(key, await fetcher());
+      return { ...entry, revalidation: null };
+    };
+
+    if (cached && Date.now() - cached.fetchedAt < this.CACHE_TTL[endpoint]) {
+      return { ...cached, revalidation: null };
     }
-    
-    return response.json();
+
+    if (cached) {
+      const revalidation = navigator.onLine ? refresh().catch(() => null) : null;
+      return { ...cached, revalidation };
+    }
+
+    return refresh();
   }
 
-  async fetchForecast(city) {
-    const response = await fetch(
-      `${this.BASE_URL}/forecast?q=${city}&appid=${this.API_KEY}&units=metric`
-    );
-    
-    if (!response.ok) {
-      throw new Error('Forecast data not available');
+  render(city, current, forecast) {
+    this.displayed = { city, current, forecast };
+
+    this.displayCurrentWeather(current.data);
+    this.displayForecast(forecast.data);
+    this.updateCharts(forecast.data);
+    this.updateStalenessBanner();
+  }
+
+  // Shown whenever what is on screen is past its TTL, which only lasts while
+  // offline or when a refresh has failed. While visible it re-renders every
+  // minute so the age it reports keeps up with the clock.
+  updateStalenessBanner() {
+    const banner = this.elements.stalenessBanner;
+    if (!this.displayed) {
+      this.hideStalenessBanner();
+      return;
     }
-    
-    return response.json();
+
+    const { current, forecast } = this.displayed;
+    const fetchedAt = Math.min(current.fetchedAt, forecast.fetchedAt);
+    const isStale = Date.now() - current.fetchedAt >= this.CACHE_TTL.current ||
+      Date.now() - forecast.fetchedAt >= this.CACHE_TTL.forecast;
+
+    if (!isStale && navigator.onLine) {
+      this.hideStalenessBanner();
+      return;
+    }
+
+    const reason = navigator.onLine ? 'Could not refresh the weather' : 'You are offline';
+    banner.textContent = `${reason}. Showing data from ${this.formatAge(Date.now() - fetchedAt)}.`;
+    banner.hidden = false;
+
+    if (!this.stalenessTimer) {
+      this.stalenessTimer = setInterval(() => this.updateStalenessBanner(), 60 * 1000);
+    }
+  }
+
+  hideStalenessBanner() {
+    this.elements.stalenessBanner.hidden = true;
+    clearInterval(this.stalenessTimer);
+    this.stalenessTimer = null;
+  }
+
+  formatAge(milliseconds) {
+    const format = new Intl.RelativeTimeFormat(this.getLocale(), { numeric: 'auto' });
+    const minutes = Math.round(milliseconds / 60000);
+
+    if (minutes < 60) return format.format(-minutes, 'minute');
+    if (minutes < 24 * 60) return format.format(-Math.round(minutes / 60), 'hour');
+    return format.format(-Math.round(minutes / (24 * 60)), 'day');
+  }
+
+  getLocale() {
+    return this.settings.locale || undefined;
+  }
+
+  getUnitSystem() {
+    return UNIT_SYSTEMS[this.settings.units];
+  }
+
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.getLocale(), { maximumFractionDigits: 0, ...options }).format(value);
+  }
+
+  formatQuantity(value, { convert, unit, symbol }, options = {}) {
+    const converted = convert(value);
+    return unit
+      ? this.formatNumber(converted, { ...options, style: 'unit', unit })
+      : `${this.formatNumber(converted, options)} ${symbol}`;
+  }
+
+  formatTemperature(celsius) {
+    return this.formatQuantity(celsius, this.getUnitSystem().temperature);
+  }
+
+  formatSpeed(metersPerSecond) {
+    return this.formatQuantity(metersPerSecond, this.getUnitSystem().speed, { maximumFractionDigits: 1 });
+  }
+
+  formatHumidity(percent) {
+    return this.formatNumber(percent / 100, { style: 'percent' });
+  }
+
+  // Shifting the timestamp by the city's UTC offset and formatting it as UTC
+  // gives the city's wall-clock time, whatever timezone the browser is in
+  toCityDate(time, timezoneOffset) {
+    return new Date(time + timezoneOffset * 1000);
+  }
+
+  formatCityTime(time, timezoneOffset, options) {
+    return new Intl.DateTimeFormat(this.getLocale(), { ...options, timeZone: 'UTC' })
+      .format(this.toCityDate(time, timezoneOffset));
   }
 
   displayCurrentWeather(data) {
     const weather = {
-      city: data.name,
-      temperature: Math.round(data.main.temp),
-      humidity: data.main.humidity,
-      windSpeed: data.wind.speed,
-      description: data.weather[0].description,
-      icon: data.weather[0].icon
+      city: data.city,
+      temperature: this.formatTemperature(data.temperature),
+      humidity: this.formatHumidity(data.humidity),
+      windSpeed: this.formatSpeed(data.windSpeed),
+      description: data.description,
+      iconUrl: data.iconUrl,
+      observedAt: this.formatCityTime(data.time, data.timezoneOffset, {
+        weekday: 'long',
+        hour: 'numeric',
+        minute: '2-digit'
+      })
     };
 
     this.elements.currentWeather.innerHTML = `
       <div class="current-weather-card">
         <h2>${weather.city}</h2>
-        <img src="http://openweathermap.org/img/w/${weather.icon}.png" alt="Weather icon">
-        <p class="temperature">${weather.temperature}°C</p>
+        <img src="${weather.iconUrl}" alt="Weather icon">
+        <p class="temperature">${weather.temperature}</p>
         <p class="description">${weather.description}</p>
-        <p>Humidity: ${weather.humidity}%</p>
-        <p>Wind Speed: ${weather.windSpeed} m/s</p>
+        <p>Humidity: ${weather.humidity}</p>
+        <p>Wind Speed: ${weather.windSpeed}</p>
+        <p class="observed">Local time: ${weather.observedAt}</p>
       </div>
     `;
   }
 
   displayForecast(data) {
-    const dailyForecasts = this.processForecastData(data.list);
+    const dailyForecasts = this.processForecastData(data.list, data.timezoneOffset);
     
     this.elements.forecast.innerHTML = dailyForecasts
       .map(day => `
         <div class="forecast-card">
           <h3>${day.date}</h3>
-          <img src="http://openweathermap.org/img/w/${day.icon}.png" alt="Weather icon">
-          <p class="temperature">${Math.round(day.temp)}°C</p>
+          <img src="${day.iconUrl}" alt="Weather icon">
+          <p class="temperature">${this.formatTemperature(day.temp)}</p>
           <p class="description">${day.description}</p>
-          <p>Humidity: ${day.humidity}%</p>
+          <p>Humidity: ${this.formatHumidity(day.humidity)}</p>
         </div>
       `)
       .join('');
   }
 
-  processForecastData(forecastList) {
+  // Days are grouped by the city's calendar, not the browser's
+  processForecastData(forecastList, timezoneOffset) {
     const dailyData = {};
     
     forecastList.forEach(item => {
-      const date = new Date(item.dt * 1000).toLocaleDateString();
+      const day = this.toCityDate(item.time, timezoneOffset).toISOString().slice(0, 10);
       
-      if (!dailyData[date]) {
-        dailyData[date] = {
-          date,
-          temp: item.main.temp,
-          humidity: item.main.humidity,
-          description: item.weather[0].description,
-          icon: item.weather[0].icon
+      if (!dailyData[day]) {
+        dailyData[day] = {
+          date: this.formatCityTime(item.time, timezoneOffset, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+          }),
+          temp: item.temperature,
+          humidity: item.humidity,
+          description: item.description,
+          iconUrl: item.iconUrl
         };
       }
     });
@@ -148,17 +495,19 @@ class WeatherDashboard {
   }
 
   updateCharts(forecast) {
-    const chartData = this.prepareChartData(forecast.list);
+    const chartData = this.prepareChartData(forecast.list, forecast.timezoneOffset);
     
     this.updateTemperatureChart(chartData);
     this.updateHumidityChart(chartData);
   }
 
-  prepareChartData(forecastList) {
+  prepareChartData(forecastList, timezoneOffset) {
+    const { convert } = this.getUnitSystem().temperature;
+
     return forecastList.slice(0, 8).map(item => ({
-      time: new Date(item.dt * 1000).toLocaleTimeString(),
-      temp: item.main.temp,
-      humidity: item.main.humidity
+      time: this.formatCityTime(item.time, timezoneOffset, { weekday: 'short', hour: 'numeric' }),
+      temp: Math.round(convert(item.temperature) * 10) / 10,
+      humidity: item.humidity
     }));
   }
 
@@ -172,7 +521,7 @@ class WeatherDashboard {
       data: {
         labels: data.map(item => item.time),
         datasets: [{
-          label: 'Temperature (°C)',
+          label: `Temperature (${this.getUnitSystem().temperature.symbol})`,
           data: data.map(item => item.temp),
           borderColor: 'rgb(255, 99, 132)',
           tension: 0.1
@@ -180,6 +529,7 @@ class WeatherDashboard {
       },
       options: {
         responsive: true,
+        locale: this.getLocale(),
         scales: {
           y: {
             beginAtZero: false
@@ -207,6 +557,7 @@ class WeatherDashboard {
       },
       options: {
         responsive: true,
+        locale: this.getLocale(),
         scales: {
           y: {
             beginAtZero: true,
@@ -243,6 +594,48 @@ class WeatherDashboard {
     this.displaySearchHistory(history);
   }
 
+  // Unit and language choices are stored next to the search history
+  getSettings() {
+    let settings;
+    try {
+      settings = JSON.parse(localStorage.getItem('weatherSettings'));
+    } catch (error) {
+      settings = null;
+    }
+
+    settings = { ...DEFAULT_SETTINGS, ...settings };
+    if (!UNIT_SYSTEMS[settings.units]) settings.units = DEFAULT_SETTINGS.units;
+    if (!LOCALES.includes(settings.locale)) settings.locale = DEFAULT_SETTINGS.locale;
+    return settings;
+  }
+
+  loadSettings() {
+    const languageNames = new Intl.DisplayNames(this.getLocale(), { type: 'language' });
+
+    this.elements.unitSelect.innerHTML = Object.entries(UNIT_SYSTEMS)
+      .map(([value, system]) => `<option value="${value}">${system.label}</option>`)
+      .join('');
+    this.elements.localeSelect.innerHTML = LOCALES
+      .map(locale => `<option value="${locale}">${locale ? languageNames.of(locale) : 'Browser default'}</option>`)
+      .join('');
+
+    this.elements.unitSelect.value = this.settings.units;
+    this.elements.localeSelect.value = this.settings.locale;
+  }
+
+  // What is on screen is re-rendered from the data already loaded, so
+  // switching units or language never needs a network request
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    localStorage.setItem('weatherSettings', JSON.stringify(this.settings));
+
+    if ('locale' in changes) this.loadSettings();
+    if (this.displayed) {
+      const { city, current, forecast } = this.displayed;
+      this.render(city, current, forecast);
+    }
+  }
+
   displaySearchHistory(history) {
     this.elements.historyContainer.innerHTML = history
       .map(city => `<button class="history-item">${city}</button>`)
@@ -278,9 +671,15 @@ class WeatherDashboard {
                 <input type="text" id="city-input" placeholder="Enter city name">
                 <button type="submit">Search</button>
             </form>
+            <div class="settings">
+                <label>Units <select id="unit-select"></select></label>
+                <label>Language <select id="locale-select"></select></label>
+            </div>
             <div id="search-history"></div>
         </div>
 
+        <div id="staleness-banner" role="status" hidden></div>
+
         <div id="current-weather"></div>
         
         <div class="charts-container">
@@ -319,6 +718,12 @@ class WeatherDashboard {
     font-size: 16px;
 }
 
+.settings {
+    display: flex;
+    gap: 15px;
+    margin-bottom: 10px;
+}
+
 .history-item {
     margin: 5px;
     padding: 5px 10px;
@@ -328,6 +733,18 @@ class WeatherDashboard {
     cursor: pointer;
 }
 
+#staleness-banner {
+    background: #fff3cd;
+    color: #856404;
+    padding: 10px 15px;
+    border-radius: 4px;
+    margin-bottom: 20px;
+}
+
+#staleness-banner[hidden] {
+    display: none;
+}
+
 .current-weather-card {
     background: #fff;
     padding: 20px;
@@ -381,4 +798,5 @@ class WeatherDashboard {
 `
 
 // Initialize the dashboard
+// Pass { provider: new MockWeatherProvider() } to develop without an API key
 const weatherDashboard = new WeatherDashboard();
\ No newline at end of file
@@ -1,14 +1,71 @@
+// Cached records are wrapped in entries carrying what the eviction policy
+// needs. size is the length of the serialized data, which is close enough to
+// keep each store within its byte budget.
+const createCacheEntry = (id, data, etag, fetchedAt = Date.now()) => ({
+  id,
+  data,
+  etag,
+  fetchedAt,
+  lastAccessed: Date.now(),
+  size: JSON.stringify(data).length
+});
+
+// ttl is how long an entry is served without asking the API; maxBytes is the
+// budget above which least recently used entries are evicted
+const CACHE_STORES = {
+  products: { ttl: 5 * 60 * 1000, maxBytes: 2 * 1024 * 1024 },
+  reviews: { ttl: 60 * 60 * 1000, maxBytes: 5 * 1024 * 1024 }
+};
+
+// Migration N upgrades a version N - 1 database. Opening with a higher
+// DB_VERSION runs every migration the browser has not seen yet, in order.
+const MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore('products', { keyPath: 'id' });
+    db.createObjectStore('reviews', { keyPath: 'id' });
+  },
+  // Version 1 stored raw products and { id, data } reviews. They are wrapped
+  // in cache entries marked as expired, so their first read revalidates them.
+  2: (db, transaction) => {
+    ['products', 'reviews'].forEach(storeName => {
+      const store = transaction.objectStore(storeName);
+      store.createIndex('lastAccessed', 'lastAccessed');
+
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const record = cursor.value;
+        const data = storeName === 'reviews' ? record.data : record;
+        cursor.update(createCacheEntry(record.id, data, null, 0));
+        cursor.continue();
+      };
+    });
+  },
+  // Eviction walks this index with a key-only cursor, so it learns the LRU
+  // order and every entry's size without deserializing the cached data
+  3: (db, transaction) => {
+    ['products', 'reviews'].forEach(storeName => {
+      const store = transaction.objectStore(storeName);
+      store.deleteIndex('lastAccessed');
+      store.createIndex('lruSize', ['lastAccessed', 'size']);
+    });
+  }
+};
+
 class ProductPage {
   constructor() {
     this.API_BASE_URL = 'https://api.example.com/products';
     this.DB_NAME = 'ecommerce_cache';
-    this.DB_VERSION = 1;
+    // Bump together with a new entry in MIGRATIONS
+    this.DB_VERSION = 3;
     this.productId = this.getProductIdFromUrl();
     
     this.initializeUI();
-    this.initializeDB().then(() => {
-      this.loadProductData();
-    });
+    // Without IndexedDB the page still works, it just fetches everything
+    this.initializeDB()
+      .catch(error => console.warn('Product cache unavailable:', error))
+      .then(() => this.loadProductData());
   }
 
   initializeUI() {
@@ -31,18 +88,25 @@ class ProductPage {
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
         this.db = request.result;
+        // Step aside when another tab opens a newer version, or its
+        // upgrade would be blocked until this page is closed
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve();
+      };
+
+      // Tabs still running an older build do not step aside, so load from
+      // the network until they close; onsuccess enables the cache after that
+      request.onblocked = () => {
+        this.showError('Close other tabs of this shop to enable offline caching');
         resolve();
       };
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create object stores
-        if (!db.objectStoreNames.contains('products')) {
-          db.createObjectStore('products', { keyPath: 'id' });
-        }
-        if (!db.objectStoreNames.contains('reviews')) {
-          db.createObjectStore('reviews', { keyPath: 'id' });
+        for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+          MIGRATIONS[version](request.result, request.transaction);
         }
       };
     });
@@ -77,51 +141,129 @@ class ProductPage {
   }
 
   async getProduct(productId) {
-    // Try to get from IndexedDB first
-    const cachedProduct = await this.getFromCache('products', productId);
-    if (cachedProduct) return cachedProduct;
-
-    // If not in cache, fetch from API
-    const response = await fetch(`${this.API_BASE_URL}/${productId}`);
-    if (!response.ok) throw new Error('Product not found');
-    
-    const product = await response.json();
-    await this.addToCache('products', product);
-    return product;
+    return this.fetchWithCache('products', productId, `${this.API_BASE_URL}/${productId}`, 'Product not found');
   }
 
   async getReviews(productId) {
-    const cachedReviews = await this.getFromCache('reviews', productId);
-    if (cachedReviews) return cachedReviews;
+    return this.fetchWithCache('reviews', productId, `${this.API_BASE_URL}/${productId}/reviews`, 'Failed to load reviews');
+  }
 
-    const response = await fetch(`${this.API_BASE_URL}/${productId}/reviews`);
-    if (!response.ok) throw new Error('Failed to load reviews');
-    
-    const reviews = await response.json();
-    await this.addToCache('reviews', { id: productId, data: reviews });
-    return reviews;
+  // Entries within their store's TTL are served from IndexedDB. Expired ones
+  // are revalidated with If-None-Match, so an unchanged product costs a 304
+  // instead of a full response and a changed price is picked up right away.
+  // The API is cross-origin: ETag is only readable when it responds with
+  // Access-Control-Expose-Headers: ETag (otherwise entries are stored without
+  // one and simply refetched after their TTL), and If-None-Match is not a
+  // CORS-safelisted header, so revalidations cost an extra preflight request.
+  async fetchWithCache(storeName, id, url, errorMessage) {
+    const cached = await this.getFromCache(storeName, id);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_STORES[storeName].ttl) {
+      return cached.data;
+    }
+
+    const headers = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
+    const response = await fetch(url, { headers });
+
+    if (response.status === 304 && cached) {
+      await this.tryAddToCache(storeName, id, cached.data, cached.etag);
+      return cached.data;
+    }
+    if (!response.ok) throw new Error(errorMessage);
+
+    const data = await response.json();
+    await this.tryAddToCache(storeName, id, data, response.headers.get('ETag'));
+    return data;
+  }
+
+  // A failed cache write must not fail a response that already arrived
+  async tryAddToCache(storeName, id, data, etag) {
+    try {
+      await this.addToCache(storeName, id, data, etag);
+    } catch (error) {
+      console.warn(`Failed to cache ${storeName} ${id}:`, error);
+    }
   }
 
+  // Reading an entry marks it as recently used for LRU eviction. Without a
+  // usable database (blocked, closed for an upgrade) every read is a miss.
   async getFromCache(storeName, id) {
+    if (!this.db) return null;
+
     return new Promise((resolve) => {
-      const transaction = this.db.transaction(storeName, 'readonly');
+      let transaction;
+      try {
+        transaction = this.db.transaction(storeName, 'readwrite');
+      } catch (error) {
+        resolve(null);
+        return;
+      }
       const store = transaction.objectStore(storeName);
       const request = store.get(id);
 
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        const entry = request.result;
+        if (entry) {
+          entry.lastAccessed = Date.now();
+          store.put(entry);
+        }
+        resolve(entry || null);
+      };
       request.onerror = () => resolve(null);
     });
   }
 
-  async addToCache(storeName, data) {
-    return new Promise((resolve, reject) => {
+  async addToCache(storeName, id, data, etag) {
+    if (!this.db) return;
+
+    // An entry over the whole budget would be evicted right away and
+    // refetched on every load, so it is not cached at all
+    const entry = createCacheEntry(id, data, etag);
+    const tooLarge = entry.size > CACHE_STORES[storeName].maxBytes;
+
+    await new Promise((resolve, reject) => {
       const transaction = this.db.transaction(storeName, 'readwrite');
       const store = transaction.objectStore(storeName);
-      const request = store.put(data);
+      const request = tooLarge ? store.delete(id) : store.put(entry);
 
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
+
+    if (!tooLarge) await this.evictFromCache(storeName);
+  }
+
+  // Deletes least recently used entries until the store fits its budget
+  async evictFromCache(storeName) {
+    const { maxBytes } = CACHE_STORES[storeName];
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.index('lruSize').openKeyCursor();
+      const entries = [];
+      let totalBytes = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          const [, size] = cursor.key;
+          entries.push({ id: cursor.primaryKey, size });
+          totalBytes += size;
+          cursor.continue();
+          return;
+        }
+
+        // The index yields entries oldest access first
+        for (const entry of entries) {
+          if (totalBytes <= maxBytes) break;
+          store.delete(entry.id);
+          totalBytes -= entry.size;
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
   displayProduct(product) {